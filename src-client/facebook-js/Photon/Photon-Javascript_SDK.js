@@ -1,3 +1,8 @@
+var __extends = this.__extends || function (d, b) {
+    function __() { this.constructor = d; }
+    __.prototype = b.prototype;
+    d.prototype = new __();
+};
 /**
 Photon
 @namespace Photon
@@ -14,12 +19,15 @@ var Photon;
         @param {string} url Server address:port.
         @param {string} [subprotocol=""] WebSocket protocol.
         @param {string} [debugName=""] Log messages prefixed with this value.
+        @param {Photon.Transport} [transport] Transport used for communication with server. Created with {@link Photon.PhotonPeer.createDefaultTransport} if not specified.
         */
-        function PhotonPeer(url, subprotocol, debugName) {
+        function PhotonPeer(url, subprotocol, debugName, transport) {
             if (typeof subprotocol === "undefined") { subprotocol = ""; }
             if (typeof debugName === "undefined") { debugName = ""; }
+            if (typeof transport === "undefined") { transport = PhotonPeer.createDefaultTransport(); }
             this.url = url;
             this.subprotocol = subprotocol;
+            this._transport = transport;
             /**
             @summary Peer sends 'keep alive' message to server as this timeout exceeded after last send operation.
             Set it < 1000 to disable 'keep alive' operation
@@ -28,7 +36,59 @@ var Photon;
             @default 5000
             */
             this.keepAliveTimeoutMs = 5000;
+            /**
+            @summary Peer raises "timeout" status and closes connection if no data received from server within this timeout, including connecting phase.
+            Peer pings server when half of timeout passed without data. Set it to 0 to rely on transport close detection only.
+            @member Photon.PhotonPeer#disconnectTimeoutMs
+            @type {number}
+            @default 0
+            */
+            this.disconnectTimeoutMs = 0;
+            this._lastReceiveTime = 0;
+            this._silenceTimer = 0;
+            this._silencePingSent = false;
+            /**
+            @summary Pending operation fails if no response received within this timeout.
+            Overridden per operation code with {@link Photon.PhotonPeer#setOperationTimeout}. Set it to 0 to wait for responses infinitely.
+            @member Photon.PhotonPeer#defaultOperationTimeoutMs
+            @type {number}
+            @default 0
+            */
+            this.defaultOperationTimeoutMs = 0;
+            this._operationTimeouts = {
+            };
+            /**
+            @summary If true, operations sent while peer is connecting (or is connected but waits for authentication) are queued and sent in order as soon as possible instead of throwing an error.
+            @member Photon.PhotonPeer#sendQueueEnabled
+            @type {bool}
+            @default false
+            */
+            this.sendQueueEnabled = false;
+            /**
+            @summary Max number of queued operations. On overflow, {@link Photon.PhotonPeer#sendQueueDropPolicy} applies.
+            @member Photon.PhotonPeer#sendQueueMaxLength
+            @type {number}
+            @default 100
+            */
+            this.sendQueueMaxLength = 100;
+            /**
+            @summary Defines which operation is dropped when queue is full.
+            @member Photon.PhotonPeer#sendQueueDropPolicy
+            @type {Photon.PhotonPeer.SendQueueDropPolicy}
+            @default Photon.PhotonPeer.SendQueueDropPolicy.DropOldest
+            */
+            this.sendQueueDropPolicy = PhotonPeer.SendQueueDropPolicy.DropOldest;
+            this._sendQueue = [];
+            this._sendQueueHeld = false;
+            this._rateLimits = {
+            };
+            this._batchOutgoing = false;
+            this._batchFlushIntervalMs = 0;
+            this._outgoingBatch = [];
+            this._batchTimer = 0;
             this._frame = "~m~";
+            this._decodeBuffer = "";
+            this._resetSequences();
             this._isConnecting = false;
             this._isConnected = false;
             this._isClosing = false;
@@ -38,8 +98,23 @@ var Photon;
             };
             this._responseListeners = {
             };
+            this._pendingOperations = {
+            };
             this.keepAliveTimer = 0;
-            this._logger = new Exitgames.Common.Logger(debugName && debugName != "" ? debugName + ": " : "");
+            this._pingIntervalMs = 0;
+            this._pingTimer = 0;
+            this._lastPingTime = 0;
+            this._roundTripTime = 0;
+            this._roundTripTimeVariance = 0;
+            this._trafficStats = new Photon.TrafficStats();
+            this._disconnectCause = PhotonPeer.DisconnectCause.None;
+            this._debugName = debugName;
+            this._compressionEnabled = false;
+            this._compressionThreshold = 1024;
+            this._compressionCodec = null;
+            this._recorder = null;
+            this._recorderPeerName = debugName;
+            this._logger = new Exitgames.Common.Logger(debugName && debugName != "" ? debugName + ": " : "", undefined, debugName && debugName != "" ? debugName : "PhotonPeer");
         }
         PhotonPeer.prototype.isConnecting = /**
         @summary Checks if peer is connecting.
@@ -71,55 +146,90 @@ var Photon;
         */
         function () {
             var _this = this;
-            if(this.subprotocol == "") {
-                this._socket = new WebSocket(this.url);
-            } else {
-                this._socket = new WebSocket(this.url, this.subprotocol);
-            }
             this._onConnecting();
+            // connecting phase may hang as well
+            this._startSilenceWatchdog();
             // Set event handlers.
-            this._socket.onopen = function (ev) {
+            this._transport.onopen = function () {
                 //this.logger.debug("onopen");
                             };
-            this._socket.onmessage = function (ev) {
-                var message = _this._decode(ev.data);
-                _this._onMessage(message.toString());
+            this._transport.onmessage = function (data) {
+                if(_this._logger.isLevelEnabled(Exitgames.Common.Logger.Level.TRACE)) {
+                    _this._logger.trace("PhotonPeer[onmessage] - Received frame:", _this._redactFrame(data));
+                }
+                _this._lastReceiveTime = Date.now();
+                _this._silencePingSent = false;
+                _this._trafficStats.bytesReceived += Exitgames.Common.Util.utf8Length(data);
+                var messages, protocolError = null;
+                try  {
+                    messages = _this._decode(data);
+                } catch (error) {
+                    if(!(error instanceof Photon.ProtocolError)) {
+                        throw error;
+                    }
+                    protocolError = error;
+                    messages = error.decoded;
+                }
+                for(var i = 0; i < messages.length; i++) {
+                    _this._onMessage(messages[i]);
+                }
+                if(protocolError) {
+                    _this._onProtocolError(protocolError);
+                }
             };
-            this._socket.onclose = function (ev) {
-                _this._logger.debug("onclose: wasClean =", ev.wasClean, ", code=", ev.code, ", reason =", ev.reason);
+            this._transport.onclose = function (code, reason, wasClean) {
+                _this._logger.debug("onclose: wasClean =", wasClean, ", code=", code, ", reason =", reason);
+                var info = {
+                    cause: _this._isClosing ? PhotonPeer.DisconnectCause.ClientDisconnect : PhotonPeer.disconnectCauseFromCloseCode(code),
+                    code: code,
+                    reason: reason,
+                    wasClean: wasClean
+                };
                 if(_this._isConnecting) {
-                    _this._onConnectFailed(ev);
+                    _this._onConnectFailed(info);
                 } else {
-                    if(1006 == ev.code) {
-                        //TODO: avoid using constants. what is the 1006
-                        _this._onTimeout();
+                    if(info.cause == PhotonPeer.DisconnectCause.Timeout) {
+                        _this._onTimeout(info);
                     }
-                    _this._onDisconnect();
+                    _this._onDisconnect(info);
                 }
             };
-            this._socket.onerror = function (ev) {
+            this._transport.onerror = function (ev) {
                 _this._onError(ev);
             };
+            this._transport.open(this.url, this.subprotocol);
         };
         PhotonPeer.prototype.disconnect = /**
         @summary Disconnects from server.
         @method Photon.PhotonPeer#disconnect
         */
         function () {
+            if(this._isConnected) {
+                this.flush();
+            }
             this._isClosing = true;
-            this._socket.close();
+            this._transport.close();
         };
         PhotonPeer.prototype.sendOperation = /**
         @summary Sends operation to the Photon Server.
         @method Photon.PhotonPeer#sendOperation
         @param {number} code Code of operation.
         @param {object} [data] Parameters of operation as key-value pairs.
-        @param {bool} [sendReliable=false] Selects if the operation must be acknowledged or not. If false, the operation is not guaranteed to reach the server.
-        @param {number} [channelId=0] The channel in which this operation should be sent.
+        @param {bool} [sendReliable] Selects if the operation must be delivered in order within channel. If false, the operation is sequenced latest-wins: while it waits for sending (batched or queued), a newer unreliable operation with the same code (and the same {@link Photon.PhotonPeer.EventCodeParameterCode} parameter) on the same channel replaces it, and the server may drop it if it's stale.
+        If omitted, operation on channel 0 is sent unsequenced.
+        @param {number} [channelId=0] The channel in which this operation should be sent. Operations on one channel are sequenced and ordered independently of other channels.
+        @param {bool} [expectResponse=true] Set to false for operations server doesn't respond to on success (e.g. RaiseEvent): operation is not tracked as pending and no promise is returned.
+        @returns {Promise} Resolved with matching response { errCode, errMsg, vals } or rejected with {@link Photon.OperationError} if response has error code. Responses are matched to requests in order per operation code. Undefined if response is not expected or Promise is not supported by environment.
         */
-        function (code, data, sendReliable, channelId) {
-            if (typeof sendReliable === "undefined") { sendReliable = false; }
+        function (code, data, sendReliable, channelId, expectResponse) {
+            var pending = this._sendOperation(code, data, sendReliable, channelId, expectResponse);
+            return pending ? pending.deferred.promise : undefined;
+        };
+        PhotonPeer.prototype._sendOperation = // returns pending operation entry, subclasses may attach request data to it
+        // protected
+        function (code, data, sendReliable, channelId, expectResponse) {
             if (typeof channelId === "undefined") { channelId = 0; }
+            if (typeof expectResponse === "undefined") { expectResponse = true; }
             var sndJSON = {
                 req: code,
                 vals: []
@@ -133,35 +243,278 @@ var Photon;
                     throw new Error(this._logger.format("PhotonPeer[sendOperation] - Trying to send non array data:", data));
                 }
             }
-            this._send(sndJSON);
-            this._logger.debug("PhotonPeer[sendOperation] - Sending request:", sndJSON);
+            if(channelId != 0 || sendReliable === false) {
+                // default channel operations are sent unsequenced as before, sequence number is assigned when sent
+                sndJSON.ch = channelId;
+                if(sendReliable === false) {
+                    sndJSON.unrel = 1;
+                }
+            }
+            var pending = expectResponse ? this._addPendingOperation(code) : null;
+            try  {
+                if(!this._throttle(sndJSON, pending)) {
+                    this._send(sndJSON, false, pending);
+                }
+            } catch (error) {
+                if(pending) {
+                    this._removePendingOperation(pending);
+                }
+                throw error;
+            }
+            this._logger.debug("PhotonPeer[sendOperation] - Sending request:", this._redact(sndJSON));
+            return pending;
+        };
+        PhotonPeer.prototype.setOperationTimeout = /**
+        @summary Sets response timeout for operation code.
+        @method Photon.PhotonPeer#setOperationTimeout
+        @param {number} operationCode Operation code.
+        @param {number} timeoutMs Timeout in milliseconds. 0 disables timeout for this operation, undefined restores {@link Photon.PhotonPeer#defaultOperationTimeoutMs}.
+        */
+        function (operationCode, timeoutMs) {
+            if(timeoutMs === undefined) {
+                delete this._operationTimeouts[operationCode.toString()];
+            } else {
+                this._operationTimeouts[operationCode.toString()] = timeoutMs;
+            }
+        };
+        PhotonPeer.prototype.getOperationTimeout = /**
+        @summary Returns response timeout for operation code.
+        @method Photon.PhotonPeer#getOperationTimeout
+        @param {number} operationCode Operation code.
+        @returns {number} Timeout in milliseconds, 0 if disabled.
+        */
+        function (operationCode) {
+            return Exitgames.Common.Util.getPropertyOrElse(this._operationTimeouts, operationCode.toString(), this.defaultOperationTimeoutMs);
+        };
+        PhotonPeer.prototype.getPendingOperationsCount = /**
+        @summary Returns number of operations sent but not responded yet.
+        @method Photon.PhotonPeer#getPendingOperationsCount
+        @param {number} [operationCode] Count only operations with this code.
+        @returns {number} Pending operations count.
+        */
+        function (operationCode) {
+            if(operationCode !== undefined) {
+                var queue = this._pendingOperations[operationCode.toString()];
+                return queue ? queue.length : 0;
+            } else {
+                var count = 0;
+                for(var code in this._pendingOperations) {
+                    count += this._pendingOperations[code].length;
+                }
+                return count;
+            }
+        };
+        PhotonPeer.prototype.getRoundTripTime = /**
+        @summary Returns smoothed round trip time measured with 'keep alive' and interval pings.
+        @method Photon.PhotonPeer#getRoundTripTime
+        @returns {number} Round trip time in milliseconds or 0 if not measured yet.
+        */
+        function () {
+            return this._roundTripTime;
+        };
+        PhotonPeer.prototype.getRoundTripTimeVariance = /**
+        @summary Returns round trip time variance.
+        @method Photon.PhotonPeer#getRoundTripTimeVariance
+        @returns {number} Round trip time variance in milliseconds or 0 if not measured yet.
+        */
+        function () {
+            return this._roundTripTimeVariance;
+        };
+        PhotonPeer.prototype.setBatching = /**
+        @summary Enables or disables batching of outgoing messages. Operations sent while batching is enabled are coalesced into a single frame sent on next tick or after flush interval.
+        @method Photon.PhotonPeer#setBatching
+        @param {bool} enabled Enables batching. Disabling sends messages batched so far.
+        @param {number} [flushIntervalMs=0] Max time in milliseconds message waits in batch. 0 sends batch on next tick.
+        */
+        function (enabled, flushIntervalMs) {
+            if (typeof flushIntervalMs === "undefined") { flushIntervalMs = 0; }
+            this._batchOutgoing = enabled;
+            this._batchFlushIntervalMs = flushIntervalMs;
+            if(!enabled) {
+                this.flush();
+            }
+        };
+        PhotonPeer.prototype.flush = /**
+        @summary Sends messages batched so far immediately. Use for latency-critical operations when batching is enabled.
+        @method Photon.PhotonPeer#flush
+        */
+        function () {
+            clearTimeout(this._batchTimer);
+            this._batchTimer = 0;
+            if(this._outgoingBatch.length > 0) {
+                var batch = this._outgoingBatch;
+                this._outgoingBatch = [];
+                if(this._isConnected && !this._isClosing) {
+                    this._logger.debug('PhotonPeer[flush] - Sending', batch.length, 'batched messages');
+                    try  {
+                        this._sendFrame(batch);
+                    } catch (error) {
+                        this._logger.error('PhotonPeer[flush] - Sending batch failed:', error);
+                        for(var i = 0; i < batch.length; i++) {
+                            this._rejectPendingOperation(batch[i].pending, error);
+                        }
+                    }
+                } else {
+                    this._logger.warn('PhotonPeer[flush] - Not connected,', batch.length, 'batched messages dropped');
+                    for(var i = 0; i < batch.length; i++) {
+                        this._rejectPendingOperation(batch[i].pending, new Error(this._logger.format('PhotonPeer[flush] - Operation', batch[i].data.req, '- failed, "isConnected" is', this._isConnected, ', "isClosing" is', this._isClosing, "!")));
+                    }
+                }
+            }
+        };
+        PhotonPeer.prototype.setCompression = /**
+        @summary Enables or disables compression of event payloads larger than threshold. Receiving peers decompress payloads transparently regardless of this setting.
+        @method Photon.PhotonPeer#setCompression
+        @param {bool} enabled Enables compression.
+        @param {number} [thresholdBytes=1024] Payloads with JSON representation not larger than this are sent as is.
+        @param {object} [codec=new Photon.LzwCodec()] Codec with name, compress(string) and decompress(string). Receivers must have it registered with {@link Photon.PhotonPeer.registerCodec}.
+        */
+        function (enabled, thresholdBytes, codec) {
+            if (typeof thresholdBytes === "undefined") { thresholdBytes = 1024; }
+            if (typeof codec === "undefined") { codec = new Photon.LzwCodec(); }
+            this._compressionEnabled = enabled;
+            this._compressionThreshold = thresholdBytes;
+            this._compressionCodec = codec;
+        };
+        PhotonPeer.prototype.setRecorder = /**
+        @summary Starts or stops recording of messages sent and received by peer.
+        @method Photon.PhotonPeer#setRecorder
+        @param {Photon.TrafficRecorder} recorder Recorder or null to stop recording.
+        @param {string} [peerName] Peer name stored with records. Defaults to peer debug name.
+        */
+        function (recorder, peerName) {
+            this._recorder = recorder;
+            this._recorderPeerName = peerName !== undefined ? peerName : this._debugName;
+        };
+        PhotonPeer.prototype.getDisconnectCause = /**
+        @summary Returns cause of last connection loss.
+        @method Photon.PhotonPeer#getDisconnectCause
+        @returns {Photon.PhotonPeer.DisconnectCause} Cause or DisconnectCause.None if connection was not lost since last connect.
+        */
+        function () {
+            return this._disconnectCause;
+        };
+        PhotonPeer.prototype.getTrafficStats = /**
+        @summary Returns snapshot of peer traffic counters.
+        @method Photon.PhotonPeer#getTrafficStats
+        @returns {Photon.TrafficStats} Copy of counters collected since peer creation or last reset.
+        */
+        function () {
+            return this._trafficStats.clone();
+        };
+        PhotonPeer.prototype.resetTrafficStats = /**
+        @summary Zeroes peer traffic counters.
+        @method Photon.PhotonPeer#resetTrafficStats
+        */
+        function () {
+            this._trafficStats.reset();
+        };
+        PhotonPeer.prototype.setPingInterval = /**
+        @summary Sets interval of pings sent to server independently of traffic for round trip time measurement.
+        @method Photon.PhotonPeer#setPingInterval
+        @param {number} intervalMs Ping interval in milliseconds. 0 disables interval pings: round trip time is measured with 'keep alive' messages only.
+        */
+        function (intervalMs) {
+            this._pingIntervalMs = intervalMs;
+            if(this._isConnected) {
+                this._startPingTimer();
+            }
         };
         PhotonPeer.prototype.addPeerStatusListener = /**
         @summary Registers listener for peer status change.
         @method Photon.PhotonPeer#addPeerStatusListener
         @param {PhotonPeer.StatusCodes} statusCode Status change to this value will be listening.
-        @param {Function} callback The listener function that processes the status change. This function don't accept any parameters.
+        @param {Function} callback The listener function that processes the status change. For "disconnect", "connectClosed", "connectFailed", "timeout" and "error" statuses it accepts { cause, code, reason, wasClean } object with {@link Photon.PhotonPeer.DisconnectCause} and close code and reason, "protocolError" passes {@link Photon.ProtocolError}, other statuses pass no parameters.
+        Listener registered for {@link Photon.PhotonPeer.AnyCode} receives status as first parameter.
+        @param {number} [priority=0] Listeners with higher priority are called first.
+        @returns {Function} Function removing the listener.
         */
-        function (statusCode, callback) {
-            this._addListener(this._peerStatusListeners, statusCode, callback);
+        function (statusCode, callback, priority) {
+            return this._subscribe(this._peerStatusListeners, statusCode, callback, priority, false);
+        };
+        PhotonPeer.prototype.addPeerStatusListenerOnce = /**
+        @summary Registers listener for peer status change removed after first call.
+        @method Photon.PhotonPeer#addPeerStatusListenerOnce
+        @param {PhotonPeer.StatusCodes} statusCode Status change to this value will be listening.
+        @param {Function} callback The listener function, see {@link Photon.PhotonPeer#addPeerStatusListener}.
+        @param {number} [priority=0] Listeners with higher priority are called first.
+        @returns {Function} Function removing the listener.
+        */
+        function (statusCode, callback, priority) {
+            return this._subscribe(this._peerStatusListeners, statusCode, callback, priority, true);
         };
         PhotonPeer.prototype.addEventListener = /**
         @summary Registers listener for custom event.
         @method Photon.PhotonPeer#addEventListener
-        @param {number} eventCode Custom event code.
+        @param {number} eventCode Custom event code or {@link Photon.PhotonPeer.AnyCode} to listen to all events.
         @param {Function} callback The listener function that processes the event. This function may accept object with event content.
+        Listener registered for {@link Photon.PhotonPeer.AnyCode} receives event code as first parameter.
+        @param {number} [priority=0] Listeners with higher priority are called first.
+        @returns {Function} Function removing the listener.
         */
-        function (eventCode, callback) {
-            this._addListener(this._eventListeners, eventCode.toString(), callback);
+        function (eventCode, callback, priority) {
+            return this._subscribe(this._eventListeners, eventCode.toString(), callback, priority, false);
+        };
+        PhotonPeer.prototype.addEventListenerOnce = /**
+        @summary Registers listener for custom event removed after first call.
+        @method Photon.PhotonPeer#addEventListenerOnce
+        @param {number} eventCode Custom event code or {@link Photon.PhotonPeer.AnyCode} to listen to all events.
+        @param {Function} callback The listener function, see {@link Photon.PhotonPeer#addEventListener}.
+        @param {number} [priority=0] Listeners with higher priority are called first.
+        @returns {Function} Function removing the listener.
+        */
+        function (eventCode, callback, priority) {
+            return this._subscribe(this._eventListeners, eventCode.toString(), callback, priority, true);
         };
         PhotonPeer.prototype.addResponseListener = /**
         @summary Registers listener for operation response.
         @method Photon.PhotonPeer#addResponseListener
-        @param {number} operationCode Operation code.
+        @param {number} operationCode Operation code or {@link Photon.PhotonPeer.AnyCode} to listen to all responses.
         @param {Function} callback The listener function that processes the event. This function may accept object with operation response content.
+        Listener registered for {@link Photon.PhotonPeer.AnyCode} receives operation code as first parameter.
+        @param {number} [priority=0] Listeners with higher priority are called first.
+        @returns {Function} Function removing the listener.
         */
-        function (operationCode, callback) {
-            this._addListener(this._responseListeners, operationCode.toString(), callback);
+        function (operationCode, callback, priority) {
+            return this._subscribe(this._responseListeners, operationCode.toString(), callback, priority, false);
+        };
+        PhotonPeer.prototype.addResponseListenerOnce = /**
+        @summary Registers listener for operation response removed after first call.
+        @method Photon.PhotonPeer#addResponseListenerOnce
+        @param {number} operationCode Operation code or {@link Photon.PhotonPeer.AnyCode} to listen to all responses.
+        @param {Function} callback The listener function, see {@link Photon.PhotonPeer#addResponseListener}.
+        @param {number} [priority=0] Listeners with higher priority are called first.
+        @returns {Function} Function removing the listener.
+        */
+        function (operationCode, callback, priority) {
+            return this._subscribe(this._responseListeners, operationCode.toString(), callback, priority, true);
+        };
+        PhotonPeer.prototype.subscribe = /**
+        @summary Registers listener of given type and returns function removing it. Same as add*Listener methods with listener type selected by parameter.
+        @method Photon.PhotonPeer#subscribe
+        @param {Photon.PhotonPeer.ListenerType} type Selects peer status, event or response listeners.
+        @param {string|number} code Status, event or operation code or {@link Photon.PhotonPeer.AnyCode}.
+        @param {Function} callback The listener function, see {@link Photon.PhotonPeer#addPeerStatusListener}, {@link Photon.PhotonPeer#addEventListener} and {@link Photon.PhotonPeer#addResponseListener}.
+        @param {number} [priority=0] Listeners with higher priority are called first.
+        @param {bool} [once=false] Removes listener after first call.
+        @returns {Function} Function removing the listener.
+        */
+        function (type, code, callback, priority, once) {
+            var listeners;
+            switch(type) {
+                case PhotonPeer.ListenerType.PeerStatus:
+                    listeners = this._peerStatusListeners;
+                    break;
+                case PhotonPeer.ListenerType.Event:
+                    listeners = this._eventListeners;
+                    break;
+                case PhotonPeer.ListenerType.Response:
+                    listeners = this._responseListeners;
+                    break;
+                default:
+                    throw new Error(this._logger.format("PhotonPeer[subscribe] - Unknown listener type:", type));
+            }
+            return this._subscribe(listeners, code.toString(), callback, priority, once);
         };
         PhotonPeer.prototype.removePeerStatusListener = /**
         @summary Removes listener if exists for peer status change.
@@ -242,6 +595,178 @@ var Photon;
         function (operationCode, args) {
             this._logger.warn('PhotonPeer: No handler for response', operationCode, 'registered.');
         };
+        PhotonPeer.prototype.setRateLimit = /**
+        @summary Limits rate of operations with given code with token bucket: bucket holds up to burst tokens refilled at rate per second, each operation takes one token.
+        Operations exceeding the limit are handled according to policy. Throttled operations may be sent after operations with other codes issued later.
+        @method Photon.PhotonPeer#setRateLimit
+        @param {number} operationCode Operation code.
+        @param {number} ratePerSecond Sustained rate. 0 removes limit and sends throttled operations.
+        @param {number} [burst=ratePerSecond] Max number of operations sent at once.
+        @param {Photon.PhotonPeer.ThrottlePolicy} [policy=Photon.PhotonPeer.ThrottlePolicy.Queue] Handling of operations exceeding the limit.
+        */
+        function (operationCode, ratePerSecond, burst, policy) {
+            if (typeof burst === "undefined") { burst = ratePerSecond; }
+            if (typeof policy === "undefined") { policy = PhotonPeer.ThrottlePolicy.Queue; }
+            var key = operationCode.toString();
+            var limit = this._rateLimits[key];
+            if(ratePerSecond > 0) {
+                if(!limit) {
+                    limit = this._rateLimits[key] = {
+                        tokens: Math.max(1, burst),
+                        lastRefill: Date.now(),
+                        queue: [],
+                        timer: 0,
+                        throttled: false
+                    };
+                }
+                limit.rate = ratePerSecond;
+                limit.burst = Math.max(1, burst);
+                limit.policy = policy;
+                this._drainRateLimit(key);
+            } else {
+                if(limit) {
+                    delete this._rateLimits[key];
+                    clearTimeout(limit.timer);
+                    for(var i = 0; i < limit.queue.length; i++) {
+                        this._sendThrottled(limit.queue[i]);
+                    }
+                }
+            }
+        };
+        PhotonPeer.prototype.onThrottle = /**
+        @summary Called when operations with given code start exceeding rate limit set with {@link Photon.PhotonPeer#setRateLimit}. Called again only after limit stops throttling.
+        Override to detect operations sent too often.
+        @method Photon.PhotonPeer#onThrottle
+        @param {number} operationCode Code of throttled operation.
+        @param {Photon.PhotonPeer.ThrottlePolicy} policy Policy applied to operation.
+        */
+        function (operationCode, policy) {
+            this._logger.warn('PhotonPeer: Operation', operationCode, 'exceeds rate limit, policy:', policy);
+        };
+        PhotonPeer.prototype.onOperationTimeout = /**
+        @summary Called if no response received for operation within timeout set for its code. Operation promise is rejected with {@link Photon.OperationTimeoutError}.
+        Connection is closed after this call: responses are matched to operations in order and a late response can't be told from response to next operation. Other pending operations are rejected with {@link Photon.OperationAbortedError}.
+        Override to handle timeouts.
+        @method Photon.PhotonPeer#onOperationTimeout
+        @param {number} operationCode Code of timed out operation.
+        @param {number} timeoutMs Timeout exceeded.
+        */
+        function (operationCode, timeoutMs) {
+            this._logger.warn('PhotonPeer: Operation', operationCode, 'timed out after', timeoutMs, 'ms.');
+        };
+        PhotonPeer.createDefaultTransport = /**
+        @summary Creates transport for current environment: {@link Photon.WebSocketTransport} in browsers, {@link Photon.NodeWebSocketTransport} in Node.js.
+        @method Photon.PhotonPeer.createDefaultTransport
+        @returns {Photon.Transport} New transport.
+        */
+        function createDefaultTransport() {
+            if(typeof WebSocket !== "undefined") {
+                return new Photon.WebSocketTransport();
+            } else {
+                if(typeof require === "function") {
+                    return new Photon.NodeWebSocketTransport();
+                } else {
+                    throw new Error("PhotonPeer[createDefaultTransport] - WebSocket is not supported by environment, pass transport to constructor.");
+                }
+            }
+        };
+        /**
+        @summary Options for choosing operation dropped on send queue overflow.
+        @member Photon.PhotonPeer.SendQueueDropPolicy
+        @readonly
+        @property {string} DropOldest Default. Oldest queued operation is dropped.
+        @property {string} DropNewest Operation being sent is dropped.
+        @property {string} Throw Operation being sent fails with an error.
+        */
+        PhotonPeer.SendQueueDropPolicy = {
+            DropOldest: "dropOldest",
+            DropNewest: "dropNewest",
+            Throw: "throw"
+        };
+        /**
+        @summary Code of parameter merged by {@link Photon.PhotonPeer.ThrottlePolicy}.Coalesce policy: Properties of Lite and LoadBalancing operations.
+        @member Photon.PhotonPeer.CoalescedParameterCode
+        @readonly
+        */
+        PhotonPeer.CoalescedParameterCode = 251;
+        /**
+        @summary Handling of operations exceeding rate limit.
+        @member Photon.PhotonPeer.ThrottlePolicy
+        @readonly
+        @property {string} Queue Operation is sent as soon as limit allows.
+        @property {string} Coalesce Operation replaces queued one with the same code and equal non-object parameters, properties ({@link Photon.PhotonPeer.CoalescedParameterCode} parameter) of both are merged. Operation is queued if there is none.
+        @property {string} Drop Operation is dropped with warning, its promise is rejected with {@link Photon.OperationDroppedError}.
+        */
+        PhotonPeer.ThrottlePolicy = {
+            Queue: "queue",
+            Coalesce: "coalesce",
+            Drop: "drop"
+        };
+        PhotonPeer.InternalRequestCode = {
+            Ping: 1
+        };
+        PhotonPeer.disconnectCauseFromCloseCode = /**
+        @summary Maps WebSocket close code (RFC 6455) to disconnect cause.
+        @method Photon.PhotonPeer.disconnectCauseFromCloseCode
+        @param {number} code Close code.
+        @returns {Photon.PhotonPeer.DisconnectCause} Disconnect cause.
+        */
+        function disconnectCauseFromCloseCode(code) {
+            switch(code) {
+                case 1000:
+                    return PhotonPeer.DisconnectCause.ServerDisconnect;
+                case 1001:
+                    return PhotonPeer.DisconnectCause.GoingAway;
+                case 1002:
+                case 1003:
+                case 1007:
+                    return PhotonPeer.DisconnectCause.ProtocolError;
+                case 1006:
+                    // abnormal closure: connection dropped without close frame
+                    return PhotonPeer.DisconnectCause.Timeout;
+                case 1008:
+                    return PhotonPeer.DisconnectCause.PolicyViolation;
+                case 1009:
+                    return PhotonPeer.DisconnectCause.MessageTooBig;
+                case 1011:
+                    return PhotonPeer.DisconnectCause.ServerError;
+                case 1015:
+                    return PhotonPeer.DisconnectCause.TlsError;
+                default:
+                    return PhotonPeer.DisconnectCause.Unknown;
+            }
+        };
+        /**
+        @summary Causes of connection loss. Passed to "disconnect", "connectClosed", "connectFailed", "timeout" and "error" status listeners as part of { cause, code, reason, wasClean } argument.
+        @member Photon.PhotonPeer.DisconnectCause
+        @readonly
+        @property {string} None Connection was not lost.
+        @property {string} ClientDisconnect Client closed connection.
+        @property {string} ServerDisconnect Server closed connection normally (1000).
+        @property {string} GoingAway Server is shutting down or browser navigates away (1001).
+        @property {string} ProtocolError Protocol error or invalid data (1002, 1003, 1007).
+        @property {string} Timeout Connection dropped without close frame (1006) or timed out.
+        @property {string} PolicyViolation Server rejected client by policy (1008).
+        @property {string} MessageTooBig Message exceeded server limit (1009).
+        @property {string} ServerError Unexpected server condition (1011).
+        @property {string} TlsError TLS handshake failed (1015).
+        @property {string} Exception Transport error.
+        @property {string} Unknown Unrecognized close code.
+        */
+        PhotonPeer.DisconnectCause = {
+            None: "none",
+            ClientDisconnect: "clientDisconnect",
+            ServerDisconnect: "serverDisconnect",
+            GoingAway: "goingAway",
+            ProtocolError: "protocolError",
+            Timeout: "timeout",
+            PolicyViolation: "policyViolation",
+            MessageTooBig: "messageTooBig",
+            ServerError: "serverError",
+            TlsError: "tlsError",
+            Exception: "exception",
+            Unknown: "unknown"
+        };
         PhotonPeer.StatusCodes = {
             connecting: "connecting",
             connect: "connect",
@@ -249,7 +774,65 @@ var Photon;
             disconnect: "disconnect",
             connectClosed: "connectClosed",
             error: "error",
-            timeout: "timeout"
+            timeout: "timeout",
+            protocolError: "protocolError"
+        };
+        PhotonPeer.MaxLengthDigits = 9;
+        PhotonPeer.addSensitiveParameterCode = /**
+        @summary Marks parameter code as sensitive: its values are masked in messages logged by peers. LoadBalancing marks ClientAuthenticationParams (216), ClientAuthenticationData (214) and Secret (221).
+        @method Photon.PhotonPeer.addSensitiveParameterCode
+        @param {number} code Parameter code.
+        */
+        function addSensitiveParameterCode(code) {
+            PhotonPeer._sensitiveParameterCodes[code] = true;
+        };
+        PhotonPeer.removeSensitiveParameterCode = /**
+        @summary Removes parameter code added with {@link Photon.PhotonPeer.addSensitiveParameterCode}.
+        @method Photon.PhotonPeer.removeSensitiveParameterCode
+        @param {number} code Parameter code.
+        */
+        function removeSensitiveParameterCode(code) {
+            delete PhotonPeer._sensitiveParameterCodes[code];
+        };
+        PhotonPeer._sensitiveParameterCodes = {
+        };
+        PhotonPeer.RedactedValue = "***";
+        PhotonPeer.registerCodec = /**
+        @summary Registers compression codec used to decompress received event payloads. {@link Photon.LzwCodec} is registered by default.
+        @method Photon.PhotonPeer.registerCodec
+        @param {object} codec Codec with name, compress(string) and decompress(string).
+        */
+        function registerCodec(codec) {
+            PhotonPeer._codecs[codec.name] = codec;
+        };
+        PhotonPeer._codecs = {
+        };
+        PhotonPeer.CompressedMarker = "~z";
+        /**
+        @summary Wildcard code: listeners registered for it are called for every event, response or status.
+        @member Photon.PhotonPeer.AnyCode
+        @readonly
+        */
+        PhotonPeer.AnyCode = "*";
+        /**
+        @summary Code of parameter telling apart unreliable operations with the same code on the same channel: they replace each other only if values of this parameter are equal. Event code of Lite and LoadBalancing RaiseEvent.
+        @member Photon.PhotonPeer.EventCodeParameterCode
+        @readonly
+        */
+        PhotonPeer.EventCodeParameterCode = 244;
+        PhotonPeer.MaxOrderedBufferLength = 256;
+        /**
+        @summary Listener kinds for {@link Photon.PhotonPeer#subscribe}.
+        @member Photon.PhotonPeer.ListenerType
+        @readonly
+        @property {string} PeerStatus Peer status listener, see {@link Photon.PhotonPeer#addPeerStatusListener}.
+        @property {string} Event Event listener, see {@link Photon.PhotonPeer#addEventListener}.
+        @property {string} Response Operation response listener, see {@link Photon.PhotonPeer#addResponseListener}.
+        */
+        PhotonPeer.ListenerType = {
+            PeerStatus: "peerStatus",
+            Event: "event",
+            Response: "response"
         };
         PhotonPeer.prototype._dispatchEvent = // TODO: lite calls this
         // protected
@@ -261,9 +844,95 @@ var Photon;
         PhotonPeer.prototype._dispatchResponse = // TODO: lite calls this
         // protected
         function (code, args) {
+            var pending = this._takePendingOperation(code);
             if(!this._dispatch(this._responseListeners, code.toString(), args, "response")) {
                 this.onUnhandledResponse(code, args);
             }
+            if(pending) {
+                this._completePendingOperation(pending, args);
+            }
+        };
+        PhotonPeer.prototype._addPendingOperation = function (code) {
+            var _this = this;
+            var key = code.toString();
+            var pending = {
+                code: code,
+                deferred: Exitgames.Common.Util.createDeferred(),
+                timer: 0
+            };
+            var timeoutMs = this.getOperationTimeout(code);
+            if(timeoutMs > 0) {
+                pending.timer = setTimeout(function () {
+                    _this._removePendingOperation(pending);
+                    pending.deferred.reject(new Photon.OperationTimeoutError(code, timeoutMs));
+                    _this.onOperationTimeout(code, timeoutMs);
+                    // responses carry no request id: late response would settle next operation with the same code
+                    if(_this._isConnected || _this._isConnecting) {
+                        _this._logger.warn('PhotonPeer: Closing connection after operation', code, 'timeout');
+                        _this.disconnect();
+                    }
+                }, timeoutMs);
+            }
+            if(!(key in this._pendingOperations)) {
+                this._pendingOperations[key] = [];
+            }
+            this._pendingOperations[key].push(pending);
+            return pending;
+        };
+        PhotonPeer.prototype._removePendingOperation = function (pending) {
+            var key = pending.code.toString();
+            clearTimeout(pending.timer);
+            if(key in this._pendingOperations) {
+                this._pendingOperations[key] = this._pendingOperations[key].filter(function (x) {
+                    return x !== pending;
+                });
+            }
+        };
+        PhotonPeer.prototype._rejectPendingOperation = // pending is null for operations sent without expecting response
+        function (pending, error) {
+            if(pending) {
+                this._removePendingOperation(pending);
+                pending.deferred.reject(error);
+            }
+        };
+        PhotonPeer.prototype._peekPendingOperation = // returns operation the next response with this code settles
+        function (code) {
+            var queue = this._pendingOperations[code.toString()];
+            return queue && queue.length > 0 ? queue[0] : undefined;
+        };
+        PhotonPeer.prototype._takePendingOperation = function (code) {
+            var key = code.toString();
+            var queue = this._pendingOperations[key];
+            return queue && queue.length > 0 ? queue.shift() : undefined;
+        };
+        PhotonPeer.prototype._completePendingOperation = function (pending, args) {
+            clearTimeout(pending.timer);
+            if(args && args.errCode) {
+                pending.deferred.reject(new Photon.OperationError(pending.code, args.errCode, args.errMsg, args.vals));
+            } else {
+                pending.deferred.resolve(args);
+            }
+        };
+        PhotonPeer.prototype._failPendingOperations = function (peerStatus) {
+            var pendingOperations = this._pendingOperations;
+            this._pendingOperations = {
+            };
+            this._sendQueue = [];
+            this._outgoingBatch = [];
+            clearTimeout(this._batchTimer);
+            this._batchTimer = 0;
+            for(var key in this._rateLimits) {
+                clearTimeout(this._rateLimits[key].timer);
+                this._rateLimits[key].timer = 0;
+                this._rateLimits[key].queue = [];
+            }
+            for(var code in pendingOperations) {
+                var queue = pendingOperations[code];
+                for(var i = 0; i < queue.length; i++) {
+                    clearTimeout(queue[i].timer);
+                    queue[i].deferred.reject(new Photon.OperationAbortedError(queue[i].code, peerStatus));
+                }
+            }
         };
         PhotonPeer.prototype._stringify = function (message) {
             if(Object.prototype.toString.call(message) == "[object Object]") {
@@ -275,7 +944,8 @@ var Photon;
                 return String(message);
             }
         };
-        PhotonPeer.prototype._encode = function (messages) {
+        PhotonPeer.prototype._encode = // message lengths are counted in UTF-16 code units, as _decode expects
+        function (messages) {
             var ret = "", message, messages = Exitgames.Common.Util.isArray(messages) ? messages : [
                 messages
             ];
@@ -285,38 +955,84 @@ var Photon;
             }
             return ret;
         };
-        PhotonPeer.prototype._decode = function (data) {
-            var messages = [], number, n, newdata = data;
-            var nulIndex = data.indexOf("\x00");
-            if(nulIndex !== -1) {
-                newdata = data.replace(/[\0]/g, "");
-            }
-            data = newdata;
-            do {
-                if(data.substr(0, 3) !== this._frame) {
-                    return messages;
-                }
-                data = data.substr(3);
-                number = "" , n = "";
-                for(var i = 0, l = data.length; i < l; i++) {
-                    n = Number(data.substr(i, 1));
-                    if(data.substr(i, 1) == n) {
-                        number += n;
-                    } else {
-                        data = data.substr(number.length + this._frame.length);
-                        number = Number(number);
+        PhotonPeer.prototype._decode = // Streaming decoder: incomplete message at the end of data is kept until next call.
+        // Throws Photon.ProtocolError with messages decoded so far on malformed input and drops buffered data.
+        function (data) {
+            var messages = [];
+            var buffer = this._decodeBuffer + data;
+            var frame = this._frame;
+            var pos = 0;
+            this._decodeBuffer = "";
+            while(pos < buffer.length) {
+                // NUL padding is allowed between messages only
+                if(buffer.charAt(pos) === "\x00") {
+                    pos++;
+                    continue;
+                }
+                if(buffer.length - pos < frame.length) {
+                    if(frame.indexOf(buffer.substr(pos)) !== 0) {
+                        throw new Photon.ProtocolError("invalid frame marker", buffer.substr(pos), messages);
+                    }
+                    break;
+                }
+                if(buffer.substr(pos, frame.length) !== frame) {
+                    throw new Photon.ProtocolError("invalid frame marker", buffer.substr(pos, 16), messages);
+                }
+                var lengthStart = pos + frame.length;
+                var lengthEnd = lengthStart;
+                while(lengthEnd < buffer.length && buffer.charAt(lengthEnd) >= "0" && buffer.charAt(lengthEnd) <= "9") {
+                    lengthEnd++;
+                }
+                if(lengthEnd - lengthStart > PhotonPeer.MaxLengthDigits) {
+                    throw new Photon.ProtocolError("message length too long", buffer.substr(lengthStart, 16), messages);
+                }
+                if(lengthEnd == buffer.length) {
+                    // length is incomplete
+                    break;
+                }
+                if(lengthEnd == lengthStart) {
+                    throw new Photon.ProtocolError("missing message length", buffer.substr(pos, 16), messages);
+                }
+                var trailer = buffer.substr(lengthEnd, frame.length);
+                if(trailer !== frame) {
+                    if(trailer.length < frame.length && frame.indexOf(trailer) === 0) {
                         break;
                     }
+                    throw new Photon.ProtocolError("invalid frame marker after message length", buffer.substr(pos, 16), messages);
+                }
+                var length = parseInt(buffer.substring(lengthStart, lengthEnd), 10);
+                var messageStart = lengthEnd + frame.length;
+                if(buffer.length - messageStart < length) {
+                    break;
+                }
+                var message = buffer.substr(messageStart, length);
+                var lastCode = message.charCodeAt(length - 1);
+                if(lastCode >= 0xd800 && lastCode < 0xdc00) {
+                    // length splits surrogate pair: sender counted something other than UTF-16 code units
+                    throw new Photon.ProtocolError("message length splits character", buffer.substr(pos, 16), messages);
                 }
-                messages.push(data.substr(0, number));
-                data = data.substr(number);
-            }while(data !== "");
+                messages.push(message);
+                pos = messageStart + length;
+            }
+            this._decodeBuffer = buffer.substr(pos);
             return messages;
         };
         PhotonPeer.prototype._onMessage = function (message) {
             if(message.substr(0, 3) == "~j~") {
-                this._onMessageReceived(JSON.parse(message.substr(3)));
+                var msgJSON;
+                try  {
+                    msgJSON = JSON.parse(message.substr(3));
+                } catch (error) {
+                    this._record(Photon.TrafficRecorder.Direction.In, message);
+                    this._onProtocolError(new Photon.ProtocolError("invalid JSON: " + error.message, message.substr(0, 64), []));
+                    return;
+                }
+                this._record(Photon.TrafficRecorder.Direction.In, message, msgJSON);
+                this._trafficStats._countReceived(msgJSON, Exitgames.Common.Util.utf8Length(message));
+                this._onSequencedMessage(msgJSON);
             } else {
+                this._record(Photon.TrafficRecorder.Direction.In, message);
+                this._trafficStats._countReceived(message, Exitgames.Common.Util.utf8Length(message));
                 if(!this._sessionid) {
                     this._sessionid = message;
                     this._onConnect();
@@ -331,84 +1047,558 @@ var Photon;
             clearTimeout(this.keepAliveTimer);
             if(this.keepAliveTimeoutMs >= 1000) {
                 this.keepAliveTimer = setTimeout(function () {
-                    return _this._send({
-                        irq: 1,
-                        vals: [
-                            1, 
-                            Date.now()
-                        ]
-                    }, true);
+                    return _this._sendPing();
                 }, this.keepAliveTimeoutMs);
             }
         };
-        PhotonPeer.prototype._send = function (data, checkConnected) {
-            if (typeof checkConnected === "undefined") { checkConnected = false; }
-            var message = this._encode(data);
-            if(this._isConnected && !this._isClosing) {
-                this.resetKeepAlive();
-                //this._logger.debug("_send:", message);
-                this._socket.send(message);
-            } else {
-                if(!checkConnected) {
-                    throw new Error(this._logger.format('PhotonPeer[_send] - Operation', data.req, '- failed, "isConnected" is', this._isConnected, ', "isClosing" is', this._isClosing, "!"));
-                }
-            }
+        PhotonPeer.prototype._sendPing = function () {
+            this._lastPingTime = Date.now();
+            this._send({
+                irq: PhotonPeer.InternalRequestCode.Ping,
+                vals: [
+                    PhotonPeer.InternalRequestCode.Ping, 
+                    this._lastPingTime
+                ]
+            }, true);
         };
-        PhotonPeer.prototype._onMessageReceived = function (message) {
-            if(typeof message === "object") {
-                this._logger.debug("PhotonPeer[_onMessageReceived] - Socket received message:", message);
-                var msgJSON = message;
-                var msgErr = msgJSON.err ? msgJSON.err : 0;
-                msgJSON.vals = msgJSON.vals !== undefined ? msgJSON.vals : [];
-                if(msgJSON.vals.length > 0) {
-                    msgJSON.vals = this._parseMessageValuesArrayToJSON(msgJSON.vals);
-                }
-                if(msgJSON.res !== undefined) {
-                    var code = parseInt(msgJSON.res);
-                    this._parseResponse(code, msgJSON);
-                } else {
-                    if(msgJSON.evt !== undefined) {
-                        var code = parseInt(msgJSON.evt);
-                        this._parseEvent(code, msgJSON);
-                    } else {
-                        if(msgJSON.irs !== undefined) {
-                            var code = parseInt(msgJSON.irs);
-                            this._parseInternalResponse(code, msgJSON);
-                        } else {
-                            throw new Error(this._logger.format("PhotonPeer[_onMessageReceived] - Received undefined message type:", msgJSON));
-                        }
-                    }
-                }
+        PhotonPeer.prototype._startPingTimer = function () {
+            var _this = this;
+            this._stopPingTimer();
+            if(this._pingIntervalMs > 0) {
+                this._pingTimer = setInterval(function () {
+                    _this._sendPing();
+                }, this._pingIntervalMs);
             }
         };
-        PhotonPeer.prototype._parseMessageValuesArrayToJSON = function (vals) {
-            var parsedJSON = {
-            };
-            if(Exitgames.Common.Util.isArray(vals)) {
-                if(vals.length % 2 == 0) {
-                    var toParse = vals, key, value;
-                    while(toParse.length > 0) {
-                        key = toParse.shift() + "";
-                        value = toParse.shift();
-                        parsedJSON[key] = value;
-                    }
-                } else {
-                    throw new Error(this._logger.format("PhotonPeer[_parseMessageValuesToJSON] - Received invalid values array:", vals));
-                }
-            }
-            return parsedJSON;
+        PhotonPeer.prototype._stopPingTimer = function () {
+            clearInterval(this._pingTimer);
+            this._pingTimer = 0;
         };
-        PhotonPeer.prototype._parseEvent = function (code, event) {
-            switch(code) {
-                default:
-                    this._dispatchEvent(code, {
-                        vals: event.vals
-                    });
+        PhotonPeer.prototype._throttle = // returns true if operation is queued, coalesced or dropped by rate limiter
+        function (data, pending) {
+            var key = data.req.toString();
+            var limit = this._rateLimits[key];
+            if(!limit) {
+                return false;
+            }
+            this._refillRateLimit(limit);
+            if(limit.queue.length == 0 && limit.tokens >= 1) {
+                limit.tokens--;
+                limit.throttled = false;
+                return false;
+            }
+            if(!limit.throttled) {
+                limit.throttled = true;
+                this.onThrottle(data.req, limit.policy);
+            }
+            switch(limit.policy) {
+                case PhotonPeer.ThrottlePolicy.Drop:
+                    this._logger.warn('PhotonPeer[_throttle] - Operation', data.req, 'dropped: rate limit exceeded');
+                    this._rejectPendingOperation(pending, new Photon.OperationDroppedError(data.req, "rateLimited"));
+                    return true;
+                case PhotonPeer.ThrottlePolicy.Coalesce:
+                    var last = limit.queue[limit.queue.length - 1];
+                    if(last && this._coalesce(last, data, pending)) {
+                        return true;
+                    }
                     break;
             }
+            limit.queue.push({
+                data: data,
+                pending: pending
+            });
+            this._scheduleRateLimitDrain(key, limit);
+            return true;
         };
-        PhotonPeer.prototype._parseResponse = function (code, response) {
-            switch(code) {
+        PhotonPeer.prototype._coalesce = // replaces queued operation if non-object parameters are equal, properties of both are merged
+        function (queued, data, pending) {
+            // parser consumes array
+            var a = this._parseMessageValuesArrayToJSON(queued.data.vals.slice(0));
+            var b = this._parseMessageValuesArrayToJSON(data.vals.slice(0));
+            for(var k in a) {
+                if(!(k in b)) {
+                    return false;
+                }
+            }
+            for(var k in b) {
+                if(!(k in a)) {
+                    return false;
+                }
+                var isObject = a[k] !== null && typeof a[k] === "object" && !Exitgames.Common.Util.isArray(a[k]);
+                if(!isObject && JSON.stringify(a[k]) !== JSON.stringify(b[k])) {
+                    return false;
+                }
+            }
+            // other object parameters (e.g. expected values) are taken from newer operation
+            var vals = data.vals.slice(0);
+            for(var i = 0; i < vals.length; i += 2) {
+                if(vals[i] == PhotonPeer.CoalescedParameterCode && a[vals[i]] !== null && typeof a[vals[i]] === "object") {
+                    var merged = {
+                    };
+                    Exitgames.Common.Util.merge(merged, a[vals[i]]);
+                    Exitgames.Common.Util.merge(merged, vals[i + 1]);
+                    vals[i + 1] = merged;
+                }
+            }
+            queued.data.vals = vals;
+            // one request is sent for both: earlier caller gets result of merged operation
+            var earlier = queued.pending;
+            if(earlier && pending) {
+                this._removePendingOperation(earlier);
+                if(pending.deferred.promise) {
+                    pending.deferred.promise.then(earlier.deferred.resolve, earlier.deferred.reject);
+                }
+            }
+            queued.pending = pending || earlier;
+            this._logger.debug('PhotonPeer[_coalesce] - Operation', data.req, 'merged into queued one');
+            return true;
+        };
+        PhotonPeer.prototype._refillRateLimit = function (limit) {
+            var now = Date.now();
+            limit.tokens = Math.min(limit.burst, limit.tokens + (now - limit.lastRefill) * limit.rate / 1000);
+            limit.lastRefill = now;
+        };
+        PhotonPeer.prototype._scheduleRateLimitDrain = function (key, limit) {
+            var _this = this;
+            if(!limit.timer) {
+                limit.timer = setTimeout(function () {
+                    limit.timer = 0;
+                    _this._drainRateLimit(key);
+                }, Math.ceil((1 - limit.tokens) * 1000 / limit.rate));
+            }
+        };
+        PhotonPeer.prototype._drainRateLimit = function (key) {
+            var limit = this._rateLimits[key];
+            if(!limit) {
+                return;
+            }
+            this._refillRateLimit(limit);
+            while(limit.queue.length > 0 && limit.tokens >= 1) {
+                limit.tokens--;
+                this._sendThrottled(limit.queue.shift());
+            }
+            if(limit.queue.length > 0) {
+                this._scheduleRateLimitDrain(key, limit);
+            }
+        };
+        PhotonPeer.prototype._sendThrottled = function (entry) {
+            try  {
+                this._send(entry.data, false, entry.pending);
+            } catch (error) {
+                this._logger.error('PhotonPeer[_sendThrottled] - Sending operation', entry.data.req, 'failed:', error);
+                this._rejectPendingOperation(entry.pending, error);
+            }
+        };
+        PhotonPeer.prototype._record = // message is recorded as is unless recorder asks for redaction, data is its parsed JSON if any
+        function (dir, message, data) {
+            if(this._recorder) {
+                if(this._recorder.redact) {
+                    message = data !== undefined ? this._stringify(this._redact(data)) : this._redactFrame(message);
+                }
+                this._recorder.record(this._recorderPeerName, dir, message);
+            }
+        };
+        PhotonPeer.prototype._redact = // protected
+        // returns copy of message for logging with values of sensitive parameters masked
+        function (message) {
+            if(message === null || typeof message !== "object" || message.vals === undefined) {
+                return message;
+            }
+            var copy = {
+            };
+            Exitgames.Common.Util.merge(copy, message);
+            var vals = message.vals;
+            if(Exitgames.Common.Util.isArray(vals)) {
+                copy.vals = vals.slice(0);
+                for(var i = 0; i + 1 < vals.length; i += 2) {
+                    if(PhotonPeer._sensitiveParameterCodes[vals[i]]) {
+                        copy.vals[i + 1] = PhotonPeer.RedactedValue;
+                    }
+                }
+            } else {
+                copy.vals = {
+                };
+                for(var key in vals) {
+                    copy.vals[key] = PhotonPeer._sensitiveParameterCodes[key] ? PhotonPeer.RedactedValue : vals[key];
+                }
+            }
+            return copy;
+        };
+        PhotonPeer.prototype._redactFrame = function (frame) {
+            for(var code in PhotonPeer._sensitiveParameterCodes) {
+                // string value following key in JSON encoded vals array
+                frame = frame.replace(new RegExp("([\\[,]" + code + ",)\"(?:[^\"\\\\]|\\\\.)*\"", "g"), "$1\"" + PhotonPeer.RedactedValue + "\"");
+            }
+            return frame;
+        };
+        PhotonPeer.prototype._compressPayload = // protected
+        // replaces large payload with { "~z": codec name, d: compressed JSON } marker if compression pays off
+        function (data) {
+            if(!this._compressionEnabled || data === undefined || data === null) {
+                return data;
+            }
+            var json = JSON.stringify(data);
+            if(json === undefined || Exitgames.Common.Util.utf8Length(json) <= this._compressionThreshold) {
+                return data;
+            }
+            var compressed = this._compressionCodec.compress(json);
+            if(compressed.length >= json.length) {
+                return data;
+            }
+            this._logger.debug("PhotonPeer[_compressPayload] - Payload compressed from", json.length, "to", compressed.length);
+            var marker = {
+            };
+            marker[PhotonPeer.CompressedMarker] = this._compressionCodec.name;
+            marker.d = compressed;
+            return marker;
+        };
+        PhotonPeer.prototype._decompressValues = // returns false and raises "protocolError" status if payload can't be decompressed
+        function (vals) {
+            for(var key in vals) {
+                var value = vals[key];
+                if(value !== null && typeof value === "object" && typeof value[PhotonPeer.CompressedMarker] === "string" && typeof value.d === "string") {
+                    var codec = PhotonPeer._codecs[value[PhotonPeer.CompressedMarker]];
+                    if(codec) {
+                        try  {
+                            vals[key] = JSON.parse(codec.decompress(value.d));
+                        } catch (error) {
+                            this._onProtocolError(new Photon.ProtocolError("invalid compressed payload: " + error.message, value.d.substr(0, 64), []));
+                            return false;
+                        }
+                    } else {
+                        this._logger.error("PhotonPeer[_decompressValues] - Unknown compression codec:", value[PhotonPeer.CompressedMarker]);
+                    }
+                }
+            }
+            return true;
+        };
+        PhotonPeer.prototype._startSilenceWatchdog = function () {
+            this._lastReceiveTime = Date.now();
+            this._silencePingSent = false;
+            this._scheduleSilenceCheck();
+        };
+        PhotonPeer.prototype._stopSilenceWatchdog = function () {
+            clearTimeout(this._silenceTimer);
+            this._silenceTimer = 0;
+        };
+        PhotonPeer.prototype._scheduleSilenceCheck = function () {
+            var _this = this;
+            clearTimeout(this._silenceTimer);
+            this._silenceTimer = 0;
+            if(this.disconnectTimeoutMs > 0) {
+                var checkTime = this._lastReceiveTime + (this._silencePingSent ? this.disconnectTimeoutMs : this.disconnectTimeoutMs / 2);
+                this._silenceTimer = setTimeout(function () {
+                    _this._checkSilence();
+                }, Math.max(0, checkTime - Date.now()));
+            }
+        };
+        PhotonPeer.prototype._checkSilence = function () {
+            if(!this._isConnected && !this._isConnecting || this._isClosing) {
+                return;
+            }
+            var silenceMs = Date.now() - this._lastReceiveTime;
+            if(silenceMs >= this.disconnectTimeoutMs) {
+                this._logger.warn("PhotonPeer[_checkSilence] - No data received for", silenceMs, "ms, closing connection");
+                this._stopSilenceWatchdog();
+                this._stopPingTimer();
+                clearTimeout(this.keepAliveTimer);
+                // state is reset here: close of replaced socket may never be reported (see WebSocketTransport.open)
+                this._isConnected = this._isConnecting = this._isClosing = false;
+                this._onTimeout({
+                    cause: PhotonPeer.DisconnectCause.Timeout,
+                    code: 0,
+                    reason: "no data received for " + silenceMs + " ms",
+                    wasClean: false
+                });
+                this._transport.close();
+            } else {
+                if(silenceMs >= this.disconnectTimeoutMs / 2 && !this._silencePingSent) {
+                    this._silencePingSent = true;
+                    if(this._isConnected) {
+                        // server answers ping even if it has nothing else to send
+                        this._sendPing();
+                    }
+                }
+                this._scheduleSilenceCheck();
+            }
+        };
+        PhotonPeer.prototype._updateRoundTripTime = function (rtt) {
+            // smoothing as for TCP retransmission timer (RFC 6298)
+            if(this._roundTripTime == 0) {
+                this._roundTripTime = rtt;
+                this._roundTripTimeVariance = rtt / 2;
+            } else {
+                this._roundTripTimeVariance = 0.75 * this._roundTripTimeVariance + 0.25 * Math.abs(this._roundTripTime - rtt);
+                this._roundTripTime = 0.875 * this._roundTripTime + 0.125 * rtt;
+            }
+        };
+        PhotonPeer.prototype._send = function (data, checkConnected, pending) {
+            if (typeof checkConnected === "undefined") { checkConnected = false; }
+            if(this._isConnected && !this._isClosing && (!this.sendQueueEnabled || !this._sendQueueHeld || this._bypassesSendQueue(data))) {
+                if(this._batchOutgoing && data.irq === undefined) {
+                    this._supersede(this._outgoingBatch, data);
+                    this._outgoingBatch.push({
+                        data: data,
+                        pending: pending
+                    });
+                    this._scheduleFlush();
+                } else {
+                    // keep order: messages batched earlier go first
+                    this.flush();
+                    this._sendFrame([
+                        {
+                            data: data,
+                            pending: pending
+                        }
+                    ]);
+                }
+            } else {
+                if(!checkConnected) {
+                    if(this.sendQueueEnabled && (this._isConnecting || this._isConnected && !this._isClosing)) {
+                        this._enqueue(data, pending);
+                    } else {
+                        throw new Error(this._logger.format('PhotonPeer[_send] - Operation', data.req, '- failed, "isConnected" is', this._isConnected, ', "isClosing" is', this._isClosing, "!"));
+                    }
+                }
+            }
+        };
+        PhotonPeer.prototype._sendFrame = function (entries) {
+            // same framing as _encode(array), message sizes are counted separately
+            var message = "", encoded;
+            for(var i = 0; i < entries.length; i++) {
+                this._stampSequence(entries[i].data);
+                if(this._recorder) {
+                    this._record(Photon.TrafficRecorder.Direction.Out, this._stringify(entries[i].data), entries[i].data);
+                }
+                encoded = this._encode(entries[i].data);
+                this._trafficStats._countSent(entries[i].data, Exitgames.Common.Util.utf8Length(encoded));
+                message += encoded;
+            }
+            this.resetKeepAlive();
+            if(this._logger.isLevelEnabled(Exitgames.Common.Logger.Level.TRACE)) {
+                // redact before encoding: sensitive values may be objects
+                var traced = [];
+                for(var i = 0; i < entries.length; i++) {
+                    traced.push(this._redact(entries[i].data));
+                }
+                this._logger.trace("PhotonPeer[_sendFrame] - Sending frame:", this._encode(traced));
+            }
+            this._transport.send(message);
+            this._trafficStats.bytesSent += Exitgames.Common.Util.utf8Length(message);
+        };
+        PhotonPeer.prototype._resetSequences = function () {
+            this._outReliableSeq = {
+            };
+            this._outUnreliableSeq = {
+            };
+            this._inReliableSeq = {
+            };
+            this._inUnreliableSeq = {
+            };
+            this._inReliableBuffer = {
+            };
+        };
+        PhotonPeer.prototype._stampSequence = // numbers follow order on the wire: operations superseded or dropped before sending leave no gaps
+        function (data) {
+            if(data.ch !== undefined && data.seq === undefined) {
+                var counters = data.unrel ? this._outUnreliableSeq : this._outReliableSeq;
+                counters[data.ch] = (counters[data.ch] || 0) + 1;
+                data.seq = counters[data.ch];
+            }
+        };
+        PhotonPeer.prototype._supersede = function (entries, data) {
+            // latest-wins: newer unreliable operation replaces not yet sent one with the same code and event code on the same channel
+            if(data.unrel) {
+                var eventCode = PhotonPeer._eventCodeOf(data);
+                for(var i = entries.length - 1; i >= 0; i--) {
+                    var old = entries[i];
+                    if(old.data.unrel && old.data.ch === data.ch && old.data.req === data.req && PhotonPeer._eventCodeOf(old.data) === eventCode) {
+                        entries.splice(i, 1);
+                        this._logger.debug('PhotonPeer[_supersede] - Unreliable operation', old.data.req, 'on channel', old.data.ch, 'superseded');
+                        this._rejectPendingOperation(old.pending, new Photon.OperationDroppedError(old.data.req, "superseded"));
+                    }
+                }
+            }
+        };
+        PhotonPeer._eventCodeOf = function (data) {
+            for(var i = 0; i + 1 < data.vals.length; i += 2) {
+                if(data.vals[i] == PhotonPeer.EventCodeParameterCode) {
+                    return data.vals[i + 1];
+                }
+            }
+            return undefined;
+        };
+        PhotonPeer.prototype._onSequencedMessage = function (message) {
+            if(message.seq === undefined) {
+                this._onMessageReceived(message);
+                return;
+            }
+            var channel = message.ch || 0;
+            if(message.unrel) {
+                if(message.seq > (this._inUnreliableSeq[channel] || 0)) {
+                    this._inUnreliableSeq[channel] = message.seq;
+                    this._onMessageReceived(message);
+                } else {
+                    this._logger.debug('PhotonPeer[_onSequencedMessage] - Stale unreliable message', message.seq, 'on channel', channel, 'dropped');
+                }
+            } else {
+                var expected = (this._inReliableSeq[channel] || 0) + 1;
+                if(message.seq < expected) {
+                    this._logger.debug('PhotonPeer[_onSequencedMessage] - Duplicate message', message.seq, 'on channel', channel, 'dropped');
+                    return;
+                }
+                // gap delays this channel only
+                var buffer = this._inReliableBuffer[channel] || (this._inReliableBuffer[channel] = {
+                });
+                buffer[message.seq] = message;
+                var buffered = 0;
+                for(var seq in buffer) {
+                    buffered++;
+                }
+                if(buffered > PhotonPeer.MaxOrderedBufferLength) {
+                    // gap is not going to be filled: continue from the oldest buffered message
+                    this._onProtocolError(new Photon.ProtocolError("sequence gap on channel " + channel + " at " + expected, "", []));
+                    expected = Infinity;
+                    for(var seq in buffer) {
+                        expected = Math.min(expected, Number(seq));
+                    }
+                }
+                while(buffer[expected] !== undefined) {
+                    message = buffer[expected];
+                    delete buffer[expected];
+                    this._inReliableSeq[channel] = expected;
+                    expected++;
+                    this._onMessageReceived(message);
+                }
+            }
+        };
+        PhotonPeer.prototype._scheduleFlush = function () {
+            var _this = this;
+            if(!this._batchTimer) {
+                this._batchTimer = setTimeout(function () {
+                    _this._batchTimer = 0;
+                    _this.flush();
+                }, this._batchFlushIntervalMs);
+            }
+        };
+        PhotonPeer.prototype._bypassesSendQueue = function (data) {
+            // internal requests (keep alive) don't wait for authentication
+            return data.irq !== undefined;
+        };
+        PhotonPeer.prototype._enqueue = function (data, pending) {
+            this._supersede(this._sendQueue, data);
+            if(this._sendQueue.length >= this.sendQueueMaxLength) {
+                var dropped;
+                switch(this.sendQueueDropPolicy) {
+                    case PhotonPeer.SendQueueDropPolicy.DropNewest:
+                        dropped = {
+                            data: data,
+                            pending: pending
+                        };
+                        break;
+                    case PhotonPeer.SendQueueDropPolicy.Throw:
+                        throw new Error(this._logger.format('PhotonPeer[_enqueue] - Operation', data.req, '- failed, send queue is full:', this._sendQueue.length));
+                    default:
+                        dropped = this._sendQueue.shift();
+                        this._sendQueue.push({
+                            data: data,
+                            pending: pending
+                        });
+                        break;
+                }
+                this._logger.warn('PhotonPeer[_enqueue] - Send queue is full, operation', dropped.data.req, 'dropped');
+                this._rejectPendingOperation(dropped.pending, new Photon.OperationDroppedError(dropped.data.req, "sendQueueFull"));
+            } else {
+                this._logger.debug('PhotonPeer[_enqueue] - Operation', data.req, 'queued');
+                this._sendQueue.push({
+                    data: data,
+                    pending: pending
+                });
+            }
+        };
+        PhotonPeer.prototype._flushSendQueue = function () {
+            if(this._sendQueue.length > 0 && this._isConnected && !this._sendQueueHeld) {
+                this._logger.debug('PhotonPeer[_flushSendQueue] - Sending', this._sendQueue.length, 'queued operations');
+                var queue = this._sendQueue;
+                this._sendQueue = [];
+                for(var i = 0; i < queue.length; i++) {
+                    try  {
+                        this._send(queue[i].data, false, queue[i].pending);
+                    } catch (error) {
+                        // failed operation is rejected, following ones stay queued in order until next flush or connection loss
+                        this._logger.error('PhotonPeer[_flushSendQueue] - Sending operation', queue[i].data.req, 'failed:', error);
+                        this._rejectPendingOperation(queue[i].pending, error);
+                        this._sendQueue = queue.slice(i + 1).concat(this._sendQueue);
+                        return;
+                    }
+                }
+            }
+        };
+        PhotonPeer.prototype._holdSendQueue = function () {
+            this._sendQueueHeld = true;
+        };
+        PhotonPeer.prototype._releaseSendQueue = function () {
+            this._sendQueueHeld = false;
+            this._flushSendQueue();
+        };
+        PhotonPeer.prototype._onMessageReceived = function (message) {
+            if(typeof message === "object") {
+                this._logger.debug("PhotonPeer[_onMessageReceived] - Socket received message:", this._redact(message));
+                var msgJSON = message;
+                var msgErr = msgJSON.err ? msgJSON.err : 0;
+                msgJSON.vals = msgJSON.vals !== undefined ? msgJSON.vals : [];
+                if(msgJSON.vals.length > 0) {
+                    msgJSON.vals = this._parseMessageValuesArrayToJSON(msgJSON.vals);
+                }
+                if(msgJSON.evt !== undefined && !this._decompressValues(msgJSON.vals)) {
+                    return;
+                }
+                if(msgJSON.res !== undefined) {
+                    var code = parseInt(msgJSON.res);
+                    this._parseResponse(code, msgJSON);
+                } else {
+                    if(msgJSON.evt !== undefined) {
+                        var code = parseInt(msgJSON.evt);
+                        this._parseEvent(code, msgJSON);
+                    } else {
+                        if(msgJSON.irs !== undefined) {
+                            var code = parseInt(msgJSON.irs);
+                            this._parseInternalResponse(code, msgJSON);
+                        } else {
+                            throw new Error(this._logger.format("PhotonPeer[_onMessageReceived] - Received undefined message type:", msgJSON));
+                        }
+                    }
+                }
+            }
+        };
+        PhotonPeer.prototype._parseMessageValuesArrayToJSON = function (vals) {
+            var parsedJSON = {
+            };
+            if(Exitgames.Common.Util.isArray(vals)) {
+                if(vals.length % 2 == 0) {
+                    var toParse = vals, key, value;
+                    while(toParse.length > 0) {
+                        key = toParse.shift() + "";
+                        value = toParse.shift();
+                        parsedJSON[key] = value;
+                    }
+                } else {
+                    throw new Error(this._logger.format("PhotonPeer[_parseMessageValuesToJSON] - Received invalid values array:", vals));
+                }
+            }
+            return parsedJSON;
+        };
+        PhotonPeer.prototype._parseEvent = function (code, event) {
+            switch(code) {
+                default:
+                    this._dispatchEvent(code, {
+                        vals: event.vals
+                    });
+                    break;
+            }
+        };
+        PhotonPeer.prototype._parseResponse = function (code, response) {
+            switch(code) {
                 default:
                     this._dispatchResponse(code, {
                         errCode: response.err,
@@ -418,100 +1608,911 @@ var Photon;
                     break;
             }
         };
-        PhotonPeer.prototype._parseInternalResponse = function (code, response) {
-            this._logger.debug("internal response:", response);
+        PhotonPeer.prototype._parseInternalResponse = function (code, response) {
+            this._logger.debug("internal response:", response);
+            if(code == PhotonPeer.InternalRequestCode.Ping) {
+                // server echoes ping time, fall back to local time of last ping
+                var sentTime = response.vals[PhotonPeer.InternalRequestCode.Ping];
+                if(typeof sentTime !== "number") {
+                    sentTime = this._lastPingTime;
+                }
+                if(sentTime > 0) {
+                    this._updateRoundTripTime(Math.max(0, Date.now() - sentTime));
+                }
+            }
+        };
+        PhotonPeer.prototype._onConnecting = function () {
+            this._logger.debug("PhotonPeer[_onConnecting] - Starts connecting", this.url, '..., raising "connecting" event ...');
+            this._isConnecting = true;
+            // close of previous connection may be still unreported
+            this._isClosing = false;
+            this._roundTripTime = this._roundTripTimeVariance = 0;
+            this._disconnectCause = PhotonPeer.DisconnectCause.None;
+            this._decodeBuffer = "";
+            // new connection starts with new session: allows reconnecting the same peer
+            this._sessionid = undefined;
+            this._resetSequences();
+            this._dispatchPeerStatus(PhotonPeer.StatusCodes.connecting);
+        };
+        PhotonPeer.prototype._onConnect = function () {
+            this._logger.debug('PhotonPeer[_onConnect] - Connected successfully! Raising "connect" event ...');
+            this._isConnecting = false;
+            this._isConnected = true;
+            this._startPingTimer();
+            this._startSilenceWatchdog();
+            this._dispatchPeerStatus(PhotonPeer.StatusCodes.connect);
+            this._flushSendQueue();
+        };
+        PhotonPeer.prototype._onConnectFailed = function (info) {
+            this._logger.error('PhotonPeer[_onConnectFailed] - Socket connection could not be created:', this.url, this.subprotocol, 'Wrong host or port?\n Raising "connectFailed event ...');
+            this._isConnecting = this._isConnected = false;
+            this._stopSilenceWatchdog();
+            this._disconnectCause = info.cause;
+            this._failPendingOperations(PhotonPeer.StatusCodes.connectFailed);
+            this._dispatchPeerStatus(PhotonPeer.StatusCodes.connectFailed, info);
+        };
+        PhotonPeer.prototype._onDisconnect = function (info) {
+            var wasConnected = this._isConnected;
+            var wasClosing = this._isClosing;
+            this._logger.debug('PhotonPeer[_onDisconnect] - Socket closed, cause:', info.cause, ', raising "disconnect" event ...');
+            this._isClosing = this._isConnected = this._isConnecting = false;
+            this._stopPingTimer();
+            this._stopSilenceWatchdog();
+            if(wasConnected) {
+                this._disconnectCause = info.cause;
+                if(wasClosing) {
+                    this._failPendingOperations(PhotonPeer.StatusCodes.disconnect);
+                    this._dispatchPeerStatus(PhotonPeer.StatusCodes.disconnect, info);
+                } else {
+                    this._failPendingOperations(PhotonPeer.StatusCodes.connectClosed);
+                    this._dispatchPeerStatus(PhotonPeer.StatusCodes.connectClosed, info);
+                }
+            }
+        };
+        PhotonPeer.prototype._onTimeout = function (info) {
+            this._logger.debug('PhotonPeer[_onTimeout] - Client timed out! Raising "timeout" event ...');
+            this._disconnectCause = info.cause;
+            this._failPendingOperations(PhotonPeer.StatusCodes.timeout);
+            this._dispatchPeerStatus(PhotonPeer.StatusCodes.timeout, info);
+        };
+        PhotonPeer.prototype._onProtocolError = function (error) {
+            this._logger.error("PhotonPeer[_onProtocolError] - Malformed data received:", error.message, error.data, 'Raising "protocolError" event ...');
+            this._dispatchPeerStatus(PhotonPeer.StatusCodes.protocolError, error);
+        };
+        PhotonPeer.prototype._onError = function (ev) {
+            this._logger.error("PhotonPeer[_onError] - Connection error:", arguments[0]);
+            this._isConnecting = this._isConnected = this._isClosing = false;
+            this._stopPingTimer();
+            this._stopSilenceWatchdog();
+            this._disconnectCause = PhotonPeer.DisconnectCause.Exception;
+            this._failPendingOperations(PhotonPeer.StatusCodes.error);
+            this._dispatchPeerStatus(PhotonPeer.StatusCodes.error, {
+                cause: PhotonPeer.DisconnectCause.Exception,
+                code: 0,
+                reason: ev && ev.message !== undefined ? ev.message : "",
+                wasClean: false
+            });
+        };
+        PhotonPeer.prototype._subscribe = function (listeners, code, callback, priority, once) {
+            var _this = this;
+            if (typeof priority === "undefined") { priority = 0; }
+            if (typeof once === "undefined") { once = false; }
+            if(!(code in listeners)) {
+                listeners[code] = [];
+            }
+            if(callback && typeof callback === "function") {
+                this._logger.debug('PhotonPeer[_subscribe] - Adding listener for event', code);
+                var entry = {
+                    callback: callback,
+                    priority: priority,
+                    once: once
+                };
+                // keep sorted by priority, same priority in registration order
+                var entries = listeners[code];
+                var i = entries.length;
+                while(i > 0 && entries[i - 1].priority < priority) {
+                    i--;
+                }
+                entries.splice(i, 0, entry);
+                return function () {
+                    _this._removeListenerEntry(listeners, code, entry);
+                };
+            } else {
+                this._logger.error('PhotonPeer[_subscribe] - Listener', code, 'is not a function but of type', typeof callback, '. No listener added!');
+                return function () {
+                };
+            }
+        };
+        PhotonPeer.prototype._dispatch = // wildcard listeners are called with code prepended and don't make code handled
+        function (listeners, code, args, debugType) {
+            if(!Exitgames.Common.Util.isArray(args)) {
+                args = [
+                    args
+                ];
+            }
+            var handled = code in listeners;
+            var exact = handled ? listeners[code] : [];
+            var any = code != PhotonPeer.AnyCode && PhotonPeer.AnyCode in listeners ? listeners[PhotonPeer.AnyCode] : [];
+            if(exact.length == 0 && any.length == 0) {
+                return handled;
+            }
+            // merge by priority, copy allows listeners to remove themselves
+            var calls = [];
+            var i = 0, j = 0;
+            while(i < exact.length || j < any.length) {
+                if(j == any.length || i < exact.length && exact[i].priority >= any[j].priority) {
+                    calls.push({
+                        code: code,
+                        entry: exact[i++],
+                        args: args
+                    });
+                } else {
+                    calls.push({
+                        code: PhotonPeer.AnyCode,
+                        entry: any[j++],
+                        args: [
+                            code
+                        ].concat(args)
+                    });
+                }
+            }
+            for(var k = 0; k < calls.length; k++) {
+                var call = calls[k];
+                if(Exitgames.Common.Util.indexOf(listeners[call.code], call.entry) == -1) {
+                    // removed by previous listener
+                    continue;
+                }
+                if(call.entry.once) {
+                    this._removeListenerEntry(listeners, call.code, call.entry);
+                }
+                call.entry.callback.apply(this, call.args);
+            }
+            return handled;
+        };
+        PhotonPeer.prototype._removeListenerEntry = function (listeners, code, entry) {
+            if(code in listeners) {
+                listeners[code] = listeners[code].filter(function (x) {
+                    return x !== entry;
+                });
+            }
+        };
+        PhotonPeer.prototype._dispatchPeerStatus = function (code, info) {
+            if(!this._dispatch(this._peerStatusListeners, code, info, "peerStatus")) {
+                this._logger.warn('PhotonPeer[_dispatchPeerStatus] - No handler for ', code, 'registered.');
+            }
+        };
+        PhotonPeer.prototype._removeListener = function (listeners, code, callback) {
+            if((code in listeners)) {
+                var prevLenght = listeners[code].length;
+                listeners[code] = listeners[code].filter(function (x) {
+                    return x.callback != callback;
+                });
+                this._logger.debug('PhotonPeer[_removeListener] - Removing listener for event', code, "removed:", prevLenght - listeners[code].length);
+            }
+            return this;
+        };
+        PhotonPeer.prototype._removeListenersForCode = function (listeners, code) {
+            this._logger.debug('PhotonPeer[_removeListenersForCode] - Removing all listeners for event', code);
+            if(code in listeners) {
+                listeners[code] = [];
+            }
+            return this;
+        };
+        return PhotonPeer;
+    })();
+    Photon.PhotonPeer = PhotonPeer;    
+    var OperationError = (function (_super) {
+        __extends(OperationError, _super);
+        /**
+        @classdesc Rejection reason of promise returned by {@link Photon.PhotonPeer#sendOperation} if server responded with error.
+        @extends Error
+        @constructor Photon.OperationError
+        @param {number} operationCode Code of failed operation.
+        @param {number} errCode Error code from response.
+        @param {string} [errMsg] Error message from response.
+        @param {object} [vals] Response content.
+        */
+        function OperationError(operationCode, errCode, errMsg, vals) {
+                _super.call(this);
+            this.name = "OperationError";
+            this.message = "Operation " + operationCode + " failed with error " + errCode + (errMsg ? ": " + errMsg : "");
+            this.stack = new Error(this.message).stack;
+            this.operationCode = operationCode;
+            this.errCode = errCode;
+            this.errMsg = errMsg;
+            this.vals = vals;
+        }
+        return OperationError;
+    })(Error);
+    Photon.OperationError = OperationError;    
+    var OperationTimeoutError = (function (_super) {
+        __extends(OperationTimeoutError, _super);
+        /**
+        @classdesc Rejection reason of operation promise if no response received within timeout.
+        @extends Error
+        @constructor Photon.OperationTimeoutError
+        @param {number} operationCode Code of timed out operation.
+        @param {number} timeoutMs Timeout exceeded.
+        */
+        function OperationTimeoutError(operationCode, timeoutMs) {
+                _super.call(this);
+            this.name = "OperationTimeoutError";
+            this.message = "Operation " + operationCode + " timed out after " + timeoutMs + " ms";
+            this.stack = new Error(this.message).stack;
+            this.operationCode = operationCode;
+            this.timeoutMs = timeoutMs;
+        }
+        return OperationTimeoutError;
+    })(Error);
+    Photon.OperationTimeoutError = OperationTimeoutError;    
+    var OperationAbortedError = (function (_super) {
+        __extends(OperationAbortedError, _super);
+        /**
+        @classdesc Rejection reason of pending operation promises if peer lost connection before response received.
+        @extends Error
+        @constructor Photon.OperationAbortedError
+        @param {number} operationCode Code of aborted operation.
+        @param {Photon.PhotonPeer.StatusCodes} peerStatus Peer status aborted operation.
+        */
+        function OperationAbortedError(operationCode, peerStatus) {
+                _super.call(this);
+            this.name = "OperationAbortedError";
+            this.message = "Operation " + operationCode + " aborted on peer status " + peerStatus;
+            this.stack = new Error(this.message).stack;
+            this.operationCode = operationCode;
+            this.peerStatus = peerStatus;
+        }
+        return OperationAbortedError;
+    })(Error);
+    Photon.OperationAbortedError = OperationAbortedError;    
+    var OperationDroppedError = (function (_super) {
+        __extends(OperationDroppedError, _super);
+        /**
+        @classdesc Rejection reason of operation promise if operation was dropped by peer before sending.
+        @extends Error
+        @constructor Photon.OperationDroppedError
+        @param {number} operationCode Code of dropped operation.
+        @param {string} reason Drop reason.
+        */
+        function OperationDroppedError(operationCode, reason) {
+                _super.call(this);
+            this.name = "OperationDroppedError";
+            this.message = "Operation " + operationCode + " dropped: " + reason;
+            this.stack = new Error(this.message).stack;
+            this.operationCode = operationCode;
+            this.reason = reason;
+        }
+        return OperationDroppedError;
+    })(Error);
+    Photon.OperationDroppedError = OperationDroppedError;    
+    var ProtocolError = (function (_super) {
+        __extends(ProtocolError, _super);
+        /**
+        @classdesc Passed to "protocolError" peer status listeners if received data can't be decoded.
+        @extends Error
+        @constructor Photon.ProtocolError
+        @param {string} reason Description of malformation.
+        @param {string} data Excerpt of malformed data.
+        @param {string[]} decoded Messages decoded before malformed data.
+        */
+        function ProtocolError(reason, data, decoded) {
+                _super.call(this);
+            this.name = "ProtocolError";
+            this.message = "Protocol error: " + reason;
+            this.stack = new Error(this.message).stack;
+            this.reason = reason;
+            this.data = data;
+            this.decoded = decoded;
+        }
+        return ProtocolError;
+    })(Error);
+    Photon.ProtocolError = ProtocolError;    
+    /**
+    @summary Transport protocols used to connect to Photon servers.
+    @member Photon.ConnectionProtocol
+    @readonly
+    @property {number} Ws Default. Plain WebSocket (ws://).
+    @property {number} Wss Secure WebSocket (wss://). Use it whenever authentication data travels to the server.
+    */
+    Photon.ConnectionProtocol = {
+        Ws: 0,
+        Wss: 1
+    };
+    var TrafficStats = (function () {
+        /**
+        @classdesc Counters of peer traffic. Totals count whole frames as sent over the wire, breakdowns count message payloads.
+        Each breakdown maps code to { count, bytes }.
+        @constructor Photon.TrafficStats
+        */
+        function TrafficStats() {
+            this.reset();
+        }
+        TrafficStats.prototype.reset = /**
+        @summary Zeroes all counters.
+        @method Photon.TrafficStats#reset
+        */
+        function () {
+            this.bytesSent = 0;
+            this.bytesReceived = 0;
+            this.messagesSent = 0;
+            this.messagesReceived = 0;
+            this.operations = {
+            };
+            this.internalRequests = {
+            };
+            this.responses = {
+            };
+            this.events = {
+            };
+            this.internalResponses = {
+            };
+            this.resetTime = Date.now();
+        };
+        TrafficStats.prototype.clone = /**
+        @summary Returns a copy of counters not updated by further traffic.
+        @method Photon.TrafficStats#clone
+        @returns {Photon.TrafficStats} Copy of counters.
+        */
+        function () {
+            var copy = new TrafficStats();
+            copy.add(this);
+            copy.resetTime = this.resetTime;
+            return copy;
+        };
+        TrafficStats.prototype.add = /**
+        @summary Adds counters of other stats to this one.
+        @method Photon.TrafficStats#add
+        @param {Photon.TrafficStats} other Stats to add.
+        */
+        function (other) {
+            this.bytesSent += other.bytesSent;
+            this.bytesReceived += other.bytesReceived;
+            this.messagesSent += other.messagesSent;
+            this.messagesReceived += other.messagesReceived;
+            for(var i = 0; i < TrafficStats.Breakdowns.length; i++) {
+                var name = TrafficStats.Breakdowns[i];
+                for(var code in other[name]) {
+                    this._countCode(this[name], code, other[name][code].count, other[name][code].bytes);
+                }
+            }
+            this.resetTime = Math.min(this.resetTime, other.resetTime);
+        };
+        TrafficStats.prototype._countSent = function (message, bytes) {
+            this.messagesSent++;
+            if(message.req !== undefined) {
+                this._countCode(this.operations, message.req, 1, bytes);
+            } else {
+                if(message.irq !== undefined) {
+                    this._countCode(this.internalRequests, message.irq, 1, bytes);
+                }
+            }
+        };
+        TrafficStats.prototype._countReceived = function (message, bytes) {
+            this.messagesReceived++;
+            if(typeof message === "object") {
+                if(message.res !== undefined) {
+                    this._countCode(this.responses, message.res, 1, bytes);
+                } else {
+                    if(message.evt !== undefined) {
+                        this._countCode(this.events, message.evt, 1, bytes);
+                    } else {
+                        if(message.irs !== undefined) {
+                            this._countCode(this.internalResponses, message.irs, 1, bytes);
+                        }
+                    }
+                }
+            }
+        };
+        TrafficStats.prototype._countCode = function (breakdown, code, count, bytes) {
+            var entry = breakdown[code];
+            if(!entry) {
+                entry = breakdown[code] = {
+                    count: 0,
+                    bytes: 0
+                };
+            }
+            entry.count += count;
+            entry.bytes += bytes;
+        };
+        TrafficStats.Breakdowns = [
+            "operations", 
+            "internalRequests", 
+            "responses", 
+            "events", 
+            "internalResponses"
+        ];
+        return TrafficStats;
+    })();
+    Photon.TrafficStats = TrafficStats;    
+    var LzwCodec = (function () {
+        /**
+        @classdesc LZW compression codec for event payloads. Compresses UTF-8 bytes of string with variable width (9 to 16 bits) codes packed in base64 string.
+        @constructor Photon.LzwCodec
+        */
+        function LzwCodec() {
+            /**
+            @summary Codec name written to compressed payload marker.
+            @member Photon.LzwCodec#name
+            @type {string}
+            */
+            this.name = "lzw";
+        }
+        LzwCodec.prototype.compress = /**
+        @summary Compresses string.
+        @method Photon.LzwCodec#compress
+        @param {string} str String to compress.
+        @returns {string} Base64 string.
+        */
+        function (str) {
+            var bytes = unescape(encodeURIComponent(str));
+            var dict = {
+            };
+            for(var i = 0; i < 256; i++) {
+                dict[String.fromCharCode(i)] = i;
+            }
+            var nextCode = 256;
+            var writer = new LzwCodec.BitWriter();
+            var w = "";
+            for(var i = 0; i < bytes.length; i++) {
+                var c = bytes.charAt(i);
+                var wc = w + c;
+                if(dict.hasOwnProperty(wc)) {
+                    w = wc;
+                } else {
+                    writer.write(dict[w], LzwCodec.codeWidth(nextCode));
+                    if(nextCode < LzwCodec.MaxCodes) {
+                        dict[wc] = nextCode++;
+                    }
+                    w = c;
+                }
+            }
+            if(w != "") {
+                writer.write(dict[w], LzwCodec.codeWidth(nextCode));
+            }
+            return writer.toString();
+        };
+        LzwCodec.prototype.decompress = /**
+        @summary Decompresses string compressed with {@link Photon.LzwCodec#compress}.
+        @method Photon.LzwCodec#decompress
+        @param {string} data Base64 string.
+        @returns {string} Original string.
+        */
+        function (data) {
+            var reader = new LzwCodec.BitReader(data);
+            var dict = [];
+            for(var i = 0; i < 256; i++) {
+                dict[i] = String.fromCharCode(i);
+            }
+            var code = reader.read(LzwCodec.codeWidth(256));
+            if(code < 0) {
+                return "";
+            }
+            var w = dict[code];
+            var bytes = w;
+            while(true) {
+                // encoder added entry for previous code before writing this one
+                code = reader.read(LzwCodec.codeWidth(Math.min(dict.length + 1, LzwCodec.MaxCodes)));
+                if(code < 0) {
+                    break;
+                }
+                var entry;
+                if(code < dict.length) {
+                    entry = dict[code];
+                } else {
+                    if(code == dict.length) {
+                        entry = w + w.charAt(0);
+                    } else {
+                        throw new Error("LzwCodec[decompress] - Invalid code " + code);
+                    }
+                }
+                bytes += entry;
+                if(dict.length < LzwCodec.MaxCodes) {
+                    dict.push(w + entry.charAt(0));
+                }
+                w = entry;
+            }
+            return decodeURIComponent(escape(bytes));
+        };
+        LzwCodec.codeWidth = function codeWidth(nextCode) {
+            var width = 9;
+            while((1 << width) < nextCode) {
+                width++;
+            }
+            return width;
+        };
+        LzwCodec.MaxCodes = 65536;
+        LzwCodec.Base64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+        LzwCodec.BitWriter = (function () {
+            function BitWriter() {
+                this._chars = [];
+                this._buffer = 0;
+                this._bits = 0;
+            }
+            BitWriter.prototype.write = function (value, width) {
+                for(var i = width - 1; i >= 0; i--) {
+                    this._buffer = (this._buffer << 1) | ((value >> i) & 1);
+                    if(++this._bits == 6) {
+                        this._chars.push(LzwCodec.Base64.charAt(this._buffer));
+                        this._buffer = this._bits = 0;
+                    }
+                }
+            };
+            BitWriter.prototype.toString = function () {
+                var chars = this._chars.slice(0);
+                if(this._bits > 0) {
+                    chars.push(LzwCodec.Base64.charAt(this._buffer << (6 - this._bits)));
+                }
+                return chars.join("");
+            };
+            return BitWriter;
+        })();
+        LzwCodec.BitReader = (function () {
+            function BitReader(data) {
+                this._data = data;
+                this._pos = 0;
+                this._buffer = 0;
+                this._bits = 0;
+            }
+            BitReader.prototype.read = // returns -1 if less than width bits left (padding)
+            function (width) {
+                var value = 0;
+                for(var i = 0; i < width; i++) {
+                    if(this._bits == 0) {
+                        if(this._pos >= this._data.length) {
+                            return -1;
+                        }
+                        this._buffer = LzwCodec.Base64.indexOf(this._data.charAt(this._pos++));
+                        if(this._buffer < 0) {
+                            throw new Error("LzwCodec[decompress] - Invalid character in data");
+                        }
+                        this._bits = 6;
+                    }
+                    this._bits--;
+                    value = (value << 1) | ((this._buffer >> this._bits) & 1);
+                }
+                return value;
+            };
+            return BitReader;
+        })();
+        return LzwCodec;
+    })();
+    Photon.LzwCodec = LzwCodec;    
+    PhotonPeer.registerCodec(new LzwCodec());
+})(Photon || (Photon = {}));
+var Photon;
+(function (Photon) {
+    var Transport = (function () {
+        /**
+        @classdesc Base class for transports used by {@link Photon.PhotonPeer} to exchange text frames with server.
+        Implementations override open(), send() and close() and call onopen, onmessage, onclose and onerror handlers assigned by peer.
+        @constructor Photon.Transport
+        */
+        function Transport() {
+        }
+        Transport.prototype.open = /**
+        @summary Starts connection to server. Calls onopen on success or onclose if connection can't be established.
+        @method Photon.Transport#open
+        @param {string} url Server url.
+        @param {string} subprotocol WebSocket protocol or empty string.
+        */
+        function (url, subprotocol) {
+            throw new Error("Transport[open] - Not implemented");
+        };
+        Transport.prototype.send = /**
+        @summary Sends text frame to server.
+        @method Photon.Transport#send
+        @param {string} data Encoded frame.
+        */
+        function (data) {
+            throw new Error("Transport[send] - Not implemented");
         };
-        PhotonPeer.prototype._onConnecting = function () {
-            this._logger.debug("PhotonPeer[_onConnecting] - Starts connecting", this.url, '..., raising "connecting" event ...');
-            this._isConnecting = true;
-            this._dispatchPeerStatus(PhotonPeer.StatusCodes.connecting);
+        Transport.prototype.close = /**
+        @summary Closes connection. Calls onclose when closed.
+        @method Photon.Transport#close
+        */
+        function () {
+            throw new Error("Transport[close] - Not implemented");
         };
-        PhotonPeer.prototype._onConnect = function () {
-            this._logger.debug('PhotonPeer[_onConnect] - Connected successfully! Raising "connect" event ...');
-            this._isConnecting = false;
-            this._isConnected = true;
-            this._dispatchPeerStatus(PhotonPeer.StatusCodes.connect);
+        Transport.prototype.onopen = /**
+        @summary Called when connection opened. Assigned by peer.
+        @method Photon.Transport#onopen
+        */
+        function () {
         };
-        PhotonPeer.prototype._onConnectFailed = function (evt) {
-            this._logger.error('PhotonPeer[_onConnectFailed] - Socket connection could not be created:', this.url, this.subprotocol, 'Wrong host or port?\n Raising "connectFailed event ...');
-            this._isConnecting = this._isConnected = false;
-            this._dispatchPeerStatus(PhotonPeer.StatusCodes.connectFailed);
+        Transport.prototype.onmessage = /**
+        @summary Called on text frame received. Assigned by peer.
+        @method Photon.Transport#onmessage
+        @param {string} data Received frame.
+        */
+        function (data) {
         };
-        PhotonPeer.prototype._onDisconnect = function () {
-            var wasConnected = this._isConnected;
-            var wasClosing = this._isClosing;
-            this._logger.debug('PhotonPeer[_onDisconnect] - Socket closed, raising "disconnect" event ...');
-            this._isClosing = this._isConnected = this._isConnecting = false;
-            if(wasConnected) {
-                if(wasClosing) {
-                    this._dispatchPeerStatus(PhotonPeer.StatusCodes.disconnect);
-                } else {
-                    this._dispatchPeerStatus(PhotonPeer.StatusCodes.connectClosed);
+        Transport.prototype.onclose = /**
+        @summary Called when connection closed or failed to open. Assigned by peer.
+        @method Photon.Transport#onclose
+        @param {number} code WebSocket close code.
+        @param {string} reason Close reason.
+        @param {bool} wasClean True if connection closed cleanly.
+        */
+        function (code, reason, wasClean) {
+        };
+        Transport.prototype.onerror = /**
+        @summary Called on transport error. Assigned by peer.
+        @method Photon.Transport#onerror
+        @param {object} ev Error details.
+        */
+        function (ev) {
+        };
+        return Transport;
+    })();
+    Photon.Transport = Transport;    
+    var WebSocketTransport = (function (_super) {
+        __extends(WebSocketTransport, _super);
+        /**
+        @classdesc Transport based on browser WebSocket.
+        @extends Photon.Transport
+        @constructor Photon.WebSocketTransport
+        */
+        function WebSocketTransport() {
+                    _super.call(this);
+        }
+        WebSocketTransport.prototype.open = function (url, subprotocol) {
+            var _this = this;
+            if(this._socket) {
+                // late events of replaced socket must not drive new session
+                var oldSocket = this._socket;
+                oldSocket.onopen = oldSocket.onmessage = oldSocket.onclose = oldSocket.onerror = null;
+                try  {
+                    oldSocket.close();
+                } catch (error) {
                 }
             }
+            this._socket = this._createSocket(url, subprotocol);
+            this._socket.onopen = function (ev) {
+                _this.onopen();
+            };
+            this._socket.onmessage = function (ev) {
+                _this.onmessage(typeof ev.data === "string" ? ev.data : ev.data.toString());
+            };
+            this._socket.onclose = function (ev) {
+                _this.onclose(ev.code, ev.reason, ev.wasClean);
+            };
+            this._socket.onerror = function (ev) {
+                _this.onerror(ev);
+            };
         };
-        PhotonPeer.prototype._onTimeout = function () {
-            this._logger.debug('PhotonPeer[_onTimeout] - Client timed out! Raising "timeout" event ...');
-            this._dispatchPeerStatus(PhotonPeer.StatusCodes.timeout);
+        WebSocketTransport.prototype.send = function (data) {
+            this._socket.send(data);
         };
-        PhotonPeer.prototype._onError = function (ev) {
-            this._logger.error("PhotonPeer[_onError] - Connection error:", arguments[0]);
-            this._isConnecting = this._isConnected = this._isClosing = false;
-            this._dispatchPeerStatus(PhotonPeer.StatusCodes.error);
+        WebSocketTransport.prototype.close = function () {
+            if(this._socket) {
+                this._socket.close();
+            }
         };
-        PhotonPeer.prototype._addListener = function (listeners, code, callback) {
-            if(!(code in listeners)) {
-                listeners[code] = [];
+        WebSocketTransport.prototype._createSocket = function (url, subprotocol) {
+            if(subprotocol == "") {
+                return new WebSocket(url);
+            } else {
+                return new WebSocket(url, subprotocol);
             }
-            if(callback && typeof callback === "function") {
-                this._logger.debug('PhotonPeer[_addListener] - Adding listener for event', code);
-                listeners[code].push(callback);
+        };
+        return WebSocketTransport;
+    })(Transport);
+    Photon.WebSocketTransport = WebSocketTransport;    
+    var NodeWebSocketTransport = (function (_super) {
+        __extends(NodeWebSocketTransport, _super);
+        /**
+        @classdesc Transport for Node.js based on "ws" module which must be installed by application.
+        @extends Photon.WebSocketTransport
+        @constructor Photon.NodeWebSocketTransport
+        @param {string} [moduleName="ws"] Name of module providing WebSocket client class.
+        */
+        function NodeWebSocketTransport(moduleName) {
+            if (typeof moduleName === "undefined") { moduleName = "ws"; }
+                    _super.call(this);
+            this.moduleName = moduleName;
+        }
+        NodeWebSocketTransport.prototype._createSocket = function (url, subprotocol) {
+            var NodeWebSocket = require(this.moduleName);
+            if(subprotocol == "") {
+                return new NodeWebSocket(url);
             } else {
-                this._logger.error('PhotonPeer[_addListener] - Listener', code, 'is not a function but of type', typeof callback, '. No listener added!');
+                return new NodeWebSocket(url, subprotocol);
             }
-            return this;
         };
-        PhotonPeer.prototype._dispatch = function (listeners, code, args, debugType) {
-            if(code in listeners) {
-                var events = listeners[code];
-                for(var i = 0, l = events.length; i < l; i++) {
-                    if(!Exitgames.Common.Util.isArray(args)) {
-                        args = [
-                            args
-                        ];
+        return NodeWebSocketTransport;
+    })(WebSocketTransport);
+    Photon.NodeWebSocketTransport = NodeWebSocketTransport;    
+    var LoopbackTransport = (function (_super) {
+        __extends(LoopbackTransport, _super);
+        /**
+        @classdesc In-memory transport for headless tests. Frames sent by peer are stored in {@link Photon.LoopbackTransport#sent} and passed to {@link Photon.LoopbackTransport#onsend}; server side frames are injected with {@link Photon.LoopbackTransport#receive}.
+        @extends Photon.Transport
+        @constructor Photon.LoopbackTransport
+        */
+        function LoopbackTransport() {
+                    _super.call(this);
+            /**
+            @summary Frames sent by peer.
+            @member Photon.LoopbackTransport#sent
+            @type {string[]}
+            */
+            this.sent = [];
+            this.url = "";
+            this._isOpen = false;
+            // incremented on open, close scheduled before reopen belongs to replaced connection
+            this._generation = 0;
+        }
+        LoopbackTransport.prototype.open = function (url, subprotocol) {
+            var _this = this;
+            this.url = url;
+            this._generation++;
+            setTimeout(function () {
+                _this._isOpen = true;
+                _this.onopen();
+            }, 0);
+        };
+        LoopbackTransport.prototype.send = function (data) {
+            if(!this._isOpen) {
+                throw new Error("LoopbackTransport[send] - Transport is not open");
+            }
+            this.sent.push(data);
+            this.onsend(data);
+        };
+        LoopbackTransport.prototype.close = function () {
+            var _this = this;
+            if(this._isOpen) {
+                this._isOpen = false;
+                var generation = this._generation;
+                setTimeout(function () {
+                    if(generation == _this._generation) {
+                        _this.onclose(1000, "", true);
                     }
-                    events[i].apply(this, args === undefined ? [] : args);
-                }
-                return true;
+                }, 0);
+            }
+        };
+        LoopbackTransport.prototype.isOpen = /**
+        @summary Checks if transport is open.
+        @method Photon.LoopbackTransport#isOpen
+        @returns {bool} True if transport is open.
+        */
+        function () {
+            return this._isOpen;
+        };
+        LoopbackTransport.prototype.onsend = /**
+        @summary Called on every frame sent by peer. Override to emulate server.
+        @method Photon.LoopbackTransport#onsend
+        @param {string} data Encoded frame.
+        */
+        function (data) {
+        };
+        LoopbackTransport.prototype.receive = /**
+        @summary Delivers frame to peer as if it was sent by server.
+        @method Photon.LoopbackTransport#receive
+        @param {string} data Encoded frame.
+        */
+        function (data) {
+            this.onmessage(data);
+        };
+        LoopbackTransport.prototype.serverClose = /**
+        @summary Closes connection as if it was closed by server.
+        @method Photon.LoopbackTransport#serverClose
+        @param {number} [code=1000] WebSocket close code.
+        @param {string} [reason=""] Close reason.
+        */
+        function (code, reason) {
+            if (typeof code === "undefined") { code = 1000; }
+            if (typeof reason === "undefined") { reason = ""; }
+            this._isOpen = false;
+            this.onclose(code, reason, code == 1000);
+        };
+        return LoopbackTransport;
+    })(Transport);
+    Photon.LoopbackTransport = LoopbackTransport;    
+    var TrafficRecorder = (function () {
+        /**
+        @classdesc Records decoded messages sent and received by peers as { time, peer, dir, msg } objects. Messages are recorded as is, including authentication data, so that {@link Photon.LoadBalancing.TrafficReplay} feeds client the same input. Assign to peers with {@link Photon.PhotonPeer#setRecorder} or {@link Photon.LoadBalancing.LoadBalancingClient#setRecorder}.
+        @constructor Photon.TrafficRecorder
+        @param {string} [filePath] If set, records are appended to this file as JSON lines instead of kept in memory. Node.js only.
+        @param {bool} [redact=false] Masks values of sensitive parameters (e.g. authentication data) in records. Use for recordings shared for debugging: replay of redacted recording feeds client masked values.
+        */
+        function TrafficRecorder(filePath, redact) {
+            if (typeof redact === "undefined") { redact = false; }
+            this.filePath = filePath;
+            /**
+            @summary Masks values of sensitive parameters in records if true.
+            @member Photon.TrafficRecorder#redact
+            @type {bool}
+            @default false
+            */
+            this.redact = redact;
+            this._records = [];
+            this._stream = null;
+            if(filePath) {
+                this._stream = require("fs").createWriteStream(filePath, {
+                    flags: "a"
+                });
+            }
+        }
+        TrafficRecorder.prototype.record = /**
+        @summary Adds record. Called by peers.
+        @method Photon.TrafficRecorder#record
+        @param {string} peer Peer name.
+        @param {Photon.TrafficRecorder.Direction} dir Message direction.
+        @param {string} msg Decoded message.
+        */
+        function (peer, dir, msg) {
+            var record = {
+                time: Date.now(),
+                peer: peer,
+                dir: dir,
+                msg: msg
+            };
+            if(this._stream) {
+                this._stream.write(JSON.stringify(record) + "\n");
             } else {
-                return false;
+                this._records.push(record);
             }
         };
-        PhotonPeer.prototype._dispatchPeerStatus = function (code) {
-            if(!this._dispatch(this._peerStatusListeners, code, undefined, "peerStatus")) {
-                this._logger.warn('PhotonPeer[_dispatchPeerStatus] - No handler for ', code, 'registered.');
+        TrafficRecorder.prototype.getRecords = /**
+        @summary Returns records kept in memory.
+        @method Photon.TrafficRecorder#getRecords
+        @returns {object[]} Records in order of recording.
+        */
+        function () {
+            return this._records;
+        };
+        TrafficRecorder.prototype.toJSONLines = /**
+        @summary Serializes records kept in memory as JSON lines.
+        @method Photon.TrafficRecorder#toJSONLines
+        @returns {string} One JSON record per line.
+        */
+        function () {
+            var lines = "";
+            for(var i = 0; i < this._records.length; i++) {
+                lines += JSON.stringify(this._records[i]) + "\n";
             }
+            return lines;
         };
-        PhotonPeer.prototype._removeListener = function (listeners, code, callback) {
-            if((code in listeners)) {
-                var prevLenght = listeners[code].length;
-                listeners[code] = listeners[code].filter(function (x) {
-                    return x != callback;
-                });
-                this._logger.debug('PhotonPeer[_removeListener] - Removing listener for event', code, "removed:", prevLenght - listeners[code].length);
+        TrafficRecorder.prototype.clear = /**
+        @summary Removes records kept in memory.
+        @method Photon.TrafficRecorder#clear
+        */
+        function () {
+            this._records = [];
+        };
+        TrafficRecorder.prototype.close = /**
+        @summary Closes recording file.
+        @method Photon.TrafficRecorder#close
+        */
+        function () {
+            if(this._stream) {
+                this._stream.end();
+                this._stream = null;
             }
-            return this;
         };
-        PhotonPeer.prototype._removeListenersForCode = function (listeners, code) {
-            this._logger.debug('PhotonPeer[_removeListenersForCode] - Removing all listeners for event', code);
-            if(code in listeners) {
-                listeners[code] = [];
+        TrafficRecorder.parseJSONLines = /**
+        @summary Parses recording saved as JSON lines.
+        @method Photon.TrafficRecorder.parseJSONLines
+        @param {string} text Recording file content.
+        @returns {object[]} Records.
+        */
+        function parseJSONLines(text) {
+            var records = [];
+            var lines = text.split("\n");
+            for(var i = 0; i < lines.length; i++) {
+                if(lines[i].replace(/\s/g, "") != "") {
+                    records.push(JSON.parse(lines[i]));
+                }
             }
-            return this;
+            return records;
         };
-        return PhotonPeer;
+        TrafficRecorder.Direction = {
+            In: "in",
+            Out: "out"
+        };
+        return TrafficRecorder;
     })();
-    Photon.PhotonPeer = PhotonPeer;    
+    Photon.TrafficRecorder = TrafficRecorder;    
 })(Photon || (Photon = {}));
 var Exitgames;
 (function (Exitgames) {
@@ -530,7 +2531,7 @@ var Exitgames;
         var Logger = (function () {
             /**
             @classdesc Logger with ability to control logging level.
-            Prints messages to browser console.
+            Passes structured log records { timestamp, level, levelName, category, prefix, message, params } to sinks registered with {@link Exitgames.Common.Logger.addSink}. Prints messages to browser console by default.
             Each logging method perfoms toString() calls and default formatting of arguments only after it checks logging level. Therefore disabled level logging method call with plain arguments doesn't involves much overhead.
             But if one prefer custom formatting or some calculation for logging methods arguments he should check logging level before doing this to avoid unnecessary operations:
             if(logger.isLevelEnabled(Logger.Level.DEBUG)) {
@@ -539,12 +2540,24 @@ var Exitgames;
             @constructor Exitgames.Common.Logger
             @param {string} [prefix=""] All log messages will be prefixed with that.
             @param {Exitgames.Common.Logger.Level} [level=Level.INFO] Initial logging level.
+            @param {string} [category=""] Category name. Levels set for category with {@link Exitgames.Common.Logger.setCategoryLevel} take precedence over logger level.
+            Dot separated names form hierarchy: level set for "Game" applies to "Game.Events" unless set for the latter.
             */
-            function Logger(prefix, level) {
+            function Logger(prefix, level, category) {
                 if (typeof prefix === "undefined") { prefix = ""; }
                 if (typeof level === "undefined") { level = Logger.Level.INFO; }
+                if (typeof category === "undefined") { category = ""; }
                 this.prefix = prefix;
                 this.level = level;
+                /**
+                @summary Category name used to look up level set with {@link Exitgames.Common.Logger.setCategoryLevel}.
+                @member Exitgames.Common.Logger#category
+                @type {string}
+                */
+                this.category = category;
+                this._cachedCategory = null;
+                this._cachedVersion = -1;
+                this._cachedCategoryLevel = undefined;
             }
             Logger.prototype.setLevel = /**
             @summary Changes current logging level.
@@ -552,7 +2565,7 @@ var Exitgames;
             @param {Exitgames.Common.Logger.Level} level New logging level.
             */
             function (level) {
-                level = Math.max(level, Logger.Level.DEBUG);
+                level = Math.max(level, Logger.Level.TRACE);
                 level = Math.min(level, Logger.Level.OFF);
                 this.level = level;
             };
@@ -563,7 +2576,7 @@ var Exitgames;
             @returns {bool} True if level active.
             */
             function (level) {
-                return level >= this.level;
+                return level >= this.getEffectiveLevel();
             };
             Logger.prototype.getLevel = /**
             @summary Returns current logging level.
@@ -573,8 +2586,34 @@ var Exitgames;
             function () {
                 return this.level;
             };
+            Logger.prototype.getEffectiveLevel = /**
+            @summary Returns level set for logger category with {@link Exitgames.Common.Logger.setCategoryLevel} or logger level if there is none.
+            @method Exitgames.Common.Logger#getEffectiveLevel
+            @returns {Exitgames.Common.Logger.Level} Level messages are filtered with.
+            */
+            function () {
+                if(this._cachedVersion != Logger._categoryLevelsVersion || this._cachedCategory !== this.category) {
+                    this._cachedCategoryLevel = Logger.getCategoryLevel(this.category);
+                    this._cachedCategory = this.category;
+                    this._cachedVersion = Logger._categoryLevelsVersion;
+                }
+                return this._cachedCategoryLevel !== undefined ? this._cachedCategoryLevel : this.level;
+            };
+            Logger.prototype.trace = /**
+            @summary Logs message if logging level = TRACE. Used for wire-level dumps.
+            @method Exitgames.Common.Logger#trace
+            @param {string} mess Message to log.
+            @param {...any} optionalParams For every additional parameter toString() applies and result added to the end of log message after space character.
+            */
+            function (mess) {
+                var optionalParams = [];
+                for (var _i = 0; _i < (arguments.length - 1); _i++) {
+                    optionalParams[_i] = arguments[_i + 1];
+                }
+                this.log(Logger.Level.TRACE, mess, optionalParams);
+            };
             Logger.prototype.debug = /**
-            @summary Logs message if logging level = DEBUG, INFO, WARN, ERROR
+            @summary Logs message if logging level = TRACE, DEBUG
             @method Exitgames.Common.Logger#debug
             @param {string} mess Message to log.
             @param {...any} optionalParams For every additional parameter toString() applies and result added to the end of log message after space character.
@@ -587,7 +2626,7 @@ var Exitgames;
                 this.log(Logger.Level.DEBUG, mess, optionalParams);
             };
             Logger.prototype.info = /**
-            @summary Logs message if logging level = INFO, WARN, ERROR
+            @summary Logs message if logging level = TRACE, DEBUG, INFO
             @method Exitgames.Common.Logger#info
             @param {string} mess Message to log.
             @param {...any} optionalParams For every additional parameter toString() applies and result added to the end of log message after space character.
@@ -600,7 +2639,7 @@ var Exitgames;
                 this.log(Logger.Level.INFO, mess, optionalParams);
             };
             Logger.prototype.warn = /**
-            @summary Logs message if logging level = WARN, ERROR
+            @summary Logs message if logging level = TRACE, DEBUG, INFO, WARN
             @method Exitgames.Common.Logger#warn
             @param {string} mess Message to log.
             @param {...any} optionalParams For every additional parameter toString() applies and result added to the end of log message after space character.
@@ -613,7 +2652,7 @@ var Exitgames;
                 this.log(Logger.Level.WARN, mess, optionalParams);
             };
             Logger.prototype.error = /**
-            @summary Logs message if logging level = ERROR
+            @summary Logs message if logging level = TRACE, DEBUG, INFO, WARN, ERROR
             @method Exitgames.Common.Logger#error
             @param {string} mess Message to log.
             @param {...any} optionalParams For every additional parameter toString() applies and result added to the end of log message after space character.
@@ -625,6 +2664,19 @@ var Exitgames;
                 }
                 this.log(Logger.Level.ERROR, mess, optionalParams);
             };
+            Logger.prototype.fatal = /**
+            @summary Logs message if logging level is not OFF.
+            @method Exitgames.Common.Logger#fatal
+            @param {string} mess Message to log.
+            @param {...any} optionalParams For every additional parameter toString() applies and result added to the end of log message after space character.
+            */
+            function (mess) {
+                var optionalParams = [];
+                for (var _i = 0; _i < (arguments.length - 1); _i++) {
+                    optionalParams[_i] = arguments[_i + 1];
+                }
+                this.log(Logger.Level.FATAL, mess, optionalParams);
+            };
             Logger.prototype.format = /**
             @summary Applies default logger formatting to arguments
             @method Exitgames.Common.Logger#format
@@ -650,45 +2702,194 @@ var Exitgames;
                 return this.format0(mess, optionalParams);
             };
             Logger.Level = {
-                DEBUG: //TRACE : 0,
-                1,
+                TRACE: 0,
+                DEBUG: 1,
                 INFO: 2,
                 WARN: 3,
                 ERROR: 4,
-                OFF: //_FATAL : 5,
-                6
+                FATAL: 5,
+                OFF: 6
             };
             Logger.log_types = [
                 "debug", 
                 "debug", 
                 "info", 
                 "warn", 
+                "error", 
                 "error"
             ];
             Logger.prototype.log = function (level, msg, optionalParams) {
-                if(level >= this.level) {
-                    // for global vars console !== undefined throws an error
-                    if(typeof console !== "undefined" && msg !== undefined) {
+                if(level >= this.getEffectiveLevel() && msg !== undefined) {
+                    msg = Logger.redact(msg);
+                    optionalParams = Logger.redact(optionalParams);
+                    var record = {
+                        timestamp: Date.now(),
+                        level: level,
+                        levelName: Logger.levelName(level),
+                        category: this.category,
+                        prefix: this.prefix,
+                        message: msg,
+                        params: optionalParams
+                    };
+                    var sinks = Logger._sinks;
+                    for(var i = 0; i < sinks.length; i++) {
                         try  {
-                            var logMethod = console[Logger.log_types[level]];
-                            if(!logMethod) {
-                                logMethod = console["log"];
-                            }
-                            if(logMethod) {
-                                if(logMethod.call) {
-                                    logMethod.call(console, this.format0(msg, optionalParams));
-                                } else {
-                                    logMethod(console, this.format0(msg, optionalParams));
-                                }
-                            }
+                            sinks[i].write(record);
                         } catch (error) {
-                            // silently fail
-                                                    }
+                            Logger.onSinkError(error, sinks[i], record);
+                        }
                     }
                 }
             };
             Logger.prototype.format0 = function (msg, optionalParams) {
-                return this.prefix + msg + " " + optionalParams.map(function (x) {
+                return Logger.formatText({
+                    prefix: this.prefix,
+                    message: msg,
+                    params: optionalParams
+                });
+            };
+            Logger.redact = /**
+            @summary Masks values of {@link Exitgames.Common.Logger.sensitiveQueryKeys} in strings, arrays and plain objects. Applied to every message before it's passed to sinks.
+            @method Exitgames.Common.Logger.redact
+            @param {any} value Value to redact.
+            @returns {any} Redacted copy of value or value itself if nothing to redact.
+            */
+            function redact(value, depth) {
+                if (typeof depth === "undefined") { depth = 0; }
+                if(typeof value === "string") {
+                    if(Logger.sensitiveQueryKeys.length == 0) {
+                        return value;
+                    }
+                    var keys = Logger.sensitiveQueryKeys.join("|");
+                    return value.replace(new RegExp("((?:^|[?&\\s\"])(?:" + keys + ")=)[^&\\s\"]*", "gi"), "$1***");
+                }
+                if(value === null || typeof value !== "object" || depth >= Logger.MaxRedactionDepth) {
+                    return value;
+                }
+                var copy;
+                if(Exitgames.Common.Util.isArray(value)) {
+                    copy = [];
+                    for(var i = 0; i < value.length; i++) {
+                        copy.push(Logger.redact(value[i], depth + 1));
+                    }
+                    return copy;
+                }
+                if(Object.prototype.toString.call(value) !== "[object Object]") {
+                    return value;
+                }
+                copy = {
+                };
+                for(var key in value) {
+                    if(value.hasOwnProperty(key)) {
+                        copy[key] = Logger.redact(value[key], depth + 1);
+                    }
+                }
+                return copy;
+            };
+            Logger.setCategoryLevel = /**
+            @summary Sets level for loggers of category. Overrides levels set with {@link Exitgames.Common.Logger#setLevel} (e.g. by LoadBalancingClient.setLogLevel).
+            Categories used by library: "LoadBalancingClient", "Master", "Game", "Lite", "PhotonPeer".
+            @method Exitgames.Common.Logger.setCategoryLevel
+            @param {string} pattern Category name or prefix ending with "*". Name matches category and its dot separated subcategories. The most specific pattern wins.
+            @param {Exitgames.Common.Logger.Level} [level] Level. Undefined removes level set for pattern.
+            */
+            function setCategoryLevel(pattern, level) {
+                Logger._categoryLevels = Logger._categoryLevels.filter(function (x) {
+                    return x.pattern !== pattern;
+                });
+                if(level !== undefined) {
+                    Logger._categoryLevels.push({
+                        pattern: pattern,
+                        level: level
+                    });
+                }
+                Logger._categoryLevelsVersion++;
+            };
+            Logger.clearCategoryLevels = /**
+            @summary Removes all levels set with {@link Exitgames.Common.Logger.setCategoryLevel}.
+            @method Exitgames.Common.Logger.clearCategoryLevels
+            */
+            function clearCategoryLevels() {
+                Logger._categoryLevels = [];
+                Logger._categoryLevelsVersion++;
+            };
+            Logger.getCategoryLevel = /**
+            @summary Returns level set for category by the most specific matching pattern.
+            @method Exitgames.Common.Logger.getCategoryLevel
+            @param {string} category Category name.
+            @returns {Exitgames.Common.Logger.Level} Level or undefined if no pattern matches.
+            */
+            function getCategoryLevel(category) {
+                var level = undefined, bestScore = -1;
+                for(var i = 0; i < Logger._categoryLevels.length; i++) {
+                    var pattern = Logger._categoryLevels[i].pattern;
+                    var score = -1;
+                    if(pattern.charAt(pattern.length - 1) == "*") {
+                        if(category.indexOf(pattern.substr(0, pattern.length - 1)) == 0) {
+                            score = pattern.length - 1;
+                        }
+                    } else {
+                        // exact match beats any prefix of the same length
+                        if(category == pattern) {
+                            score = pattern.length + 0.5;
+                        } else {
+                            if(category.indexOf(pattern + ".") == 0) {
+                                score = pattern.length;
+                            }
+                        }
+                    }
+                    if(score > bestScore) {
+                        bestScore = score;
+                        level = Logger._categoryLevels[i].level;
+                    }
+                }
+                return level;
+            };
+            Logger.addSink = /**
+            @summary Registers sink receiving records of all loggers.
+            @method Exitgames.Common.Logger.addSink
+            @param {object} sink Object with write(record) method, e.g. {@link Exitgames.Common.ConsoleLogSink} or {@link Exitgames.Common.RingBufferLogSink}.
+            */
+            function addSink(sink) {
+                Logger._sinks.push(sink);
+            };
+            Logger.removeSink = /**
+            @summary Unregisters sink. Remove default {@link Exitgames.Common.Logger.consoleSink} to stop printing to console.
+            @method Exitgames.Common.Logger.removeSink
+            @param {object} sink Sink to remove.
+            */
+            function removeSink(sink) {
+                Logger._sinks = Logger._sinks.filter(function (x) {
+                    return x !== sink;
+                });
+            };
+            Logger.onSinkError = /**
+            @summary Called if sink throws while writing record. Prints error to console by default. Override to handle sink errors.
+            @method Exitgames.Common.Logger.onSinkError
+            @param {Error} error Thrown error.
+            @param {object} sink Failed sink.
+            @param {object} record Record sink failed to write.
+            */
+            function onSinkError(error, sink, record) {
+                // for global vars console !== undefined throws an error
+                if(typeof console !== "undefined" && console.error) {
+                    try  {
+                        console.error("Logger: sink failed to write record:", error);
+                    } catch (e) {
+                    }
+                }
+            };
+            Logger.levelName = function levelName(level) {
+                return Exitgames.Common.Util.enumValueToName(Logger.Level, level);
+            };
+            Logger.formatText = /**
+            @summary Default text formatting of log record: prefix, message and parameters separated by space characters.
+            @method Exitgames.Common.Logger.formatText
+            @param {object} record Log record.
+            @returns {string} Formatted string.
+            */
+            function formatText(record) {
+                return record.prefix + record.message + " " + record.params.map(function (x) {
                     if(x !== undefined) {
                         switch(typeof x) {
                             case "object":
@@ -705,9 +2906,237 @@ var Exitgames;
                     }
                 }).join(" ");
             };
+            Logger.formatJSON = /**
+            @summary Formats log record as single line JSON. Parameters which can't be serialized are replaced by their string representation.
+            @method Exitgames.Common.Logger.formatJSON
+            @param {object} record Log record.
+            @returns {string} JSON string.
+            */
+            function formatJSON(record) {
+                var params = record.params.map(function (x) {
+                    if(Object.prototype.toString.call(x) === "[object Error]") {
+                        return {
+                            name: x.name,
+                            message: x.message
+                        };
+                    }
+                    try  {
+                        JSON.stringify(x);
+                        return x;
+                    } catch (error) {
+                        return String(x);
+                    }
+                });
+                return JSON.stringify({
+                    timestamp: record.timestamp,
+                    level: record.levelName,
+                    category: record.category,
+                    prefix: record.prefix,
+                    message: String(record.message),
+                    params: params
+                });
+            };
             return Logger;
         })();
         Common.Logger = Logger;        
+        var ConsoleLogSink = (function () {
+            /**
+            @classdesc Log sink printing records to console with method matching record level.
+            @constructor Exitgames.Common.ConsoleLogSink
+            @param {Function} [formatter=Exitgames.Common.Logger.formatText] Converts record to string.
+            */
+            function ConsoleLogSink(formatter) {
+                if (typeof formatter === "undefined") { formatter = Logger.formatText; }
+                this.formatter = formatter;
+            }
+            ConsoleLogSink.prototype.write = function (record) {
+                // for global vars console !== undefined throws an error
+                if(typeof console !== "undefined") {
+                    var logMethod = console[Logger.log_types[record.level]];
+                    if(!logMethod) {
+                        logMethod = console["log"];
+                    }
+                    if(logMethod) {
+                        if(logMethod.call) {
+                            logMethod.call(console, this.formatter(record));
+                        } else {
+                            logMethod(console, this.formatter(record));
+                        }
+                    }
+                }
+            };
+            return ConsoleLogSink;
+        })();
+        Common.ConsoleLogSink = ConsoleLogSink;        
+        var RingBufferLogSink = (function () {
+            /**
+            @classdesc Log sink keeping last records in memory, e.g. to attach them to bug reports.
+            Records keep shallow copies of parameters passed through {@link Exitgames.Common.RingBufferLogSink.redactParam}: later changes of logged objects don't change kept records.
+            @constructor Exitgames.Common.RingBufferLogSink
+            @param {number} [capacity=500] Max number of records kept.
+            */
+            function RingBufferLogSink(capacity) {
+                if (typeof capacity === "undefined") { capacity = 500; }
+                this.capacity = capacity;
+                this.clear();
+            }
+            RingBufferLogSink.prototype.write = function (record) {
+                var copy = {
+                };
+                for(var key in record) {
+                    copy[key] = record[key];
+                }
+                if(Exitgames.Common.Util.isArray(record.params)) {
+                    copy.params = [];
+                    for(var i = 0; i < record.params.length; i++) {
+                        copy.params.push(RingBufferLogSink.redactParam(RingBufferLogSink._copyParam(record.params[i])));
+                    }
+                }
+                record = copy;
+                if(this._records.length < this.capacity) {
+                    this._records.push(record);
+                } else {
+                    this._records[this._next] = record;
+                    this._next = (this._next + 1) % this.capacity;
+                }
+            };
+            RingBufferLogSink.prototype.getRecords = /**
+            @summary Returns kept records, oldest first.
+            @method Exitgames.Common.RingBufferLogSink#getRecords
+            @returns {object[]} Log records.
+            */
+            function () {
+                return this._records.slice(this._next).concat(this._records.slice(0, this._next));
+            };
+            RingBufferLogSink.prototype.toJSONLines = /**
+            @summary Formats kept records with {@link Exitgames.Common.Logger.formatJSON}, one per line.
+            @method Exitgames.Common.RingBufferLogSink#toJSONLines
+            @returns {string} JSON lines.
+            */
+            function () {
+                return this.getRecords().map(Logger.formatJSON).join("\n");
+            };
+            RingBufferLogSink.prototype.clear = /**
+            @summary Removes kept records.
+            @method Exitgames.Common.RingBufferLogSink#clear
+            */
+            function () {
+                this._records = [];
+                this._next = 0;
+            };
+            RingBufferLogSink.redactParam = /**
+            @summary Masks sensitive values of copied log record parameter. Photon SDK replaces it to mask values of operation parameters registered with {@link Photon.PhotonPeer.addSensitiveParameterCode}.
+            @method Exitgames.Common.RingBufferLogSink.redactParam
+            @param {any} param Shallow copy of parameter.
+            @returns {any} Parameter to keep.
+            */
+            function redactParam(param) {
+                return param;
+            };
+            RingBufferLogSink._copyParam = function (param) {
+                // errors are formatted by name and message
+                if(param === null || typeof param !== "object" || Object.prototype.toString.call(param) === "[object Error]") {
+                    return param;
+                }
+                if(Exitgames.Common.Util.isArray(param)) {
+                    return param.slice(0);
+                }
+                var copy = {
+                };
+                for(var key in param) {
+                    if(typeof param[key] !== "function") {
+                        copy[key] = param[key];
+                    }
+                }
+                return copy;
+            };
+            return RingBufferLogSink;
+        })();
+        Common.RingBufferLogSink = RingBufferLogSink;        
+        var CallbackLogSink = (function () {
+            /**
+            @classdesc Log sink passing records to callback.
+            @constructor Exitgames.Common.CallbackLogSink
+            @param {Function} callback Called with log record.
+            */
+            function CallbackLogSink(callback) {
+                this.callback = callback;
+            }
+            CallbackLogSink.prototype.write = function (record) {
+                this.callback(record);
+            };
+            return CallbackLogSink;
+        })();
+        Common.CallbackLogSink = CallbackLogSink;        
+        var RemoteLogSink = (function () {
+            /**
+            @classdesc Log sink collecting records for remote log collector. Records are formatted with {@link Exitgames.Common.Logger.formatJSON} and passed in batches to {@link Exitgames.Common.RemoteLogSink#send}.
+            This is a stub: override send to deliver batches to your collector.
+            @constructor Exitgames.Common.RemoteLogSink
+            @param {string} url Collector address passed to send.
+            @param {number} [batchSize=50] Number of records triggering send.
+            @param {Exitgames.Common.Logger.Level} [minLevel=Level.WARN] Records of lower level are ignored.
+            */
+            function RemoteLogSink(url, batchSize, minLevel) {
+                if (typeof batchSize === "undefined") { batchSize = 50; }
+                if (typeof minLevel === "undefined") { minLevel = Logger.Level.WARN; }
+                this.url = url;
+                this.batchSize = batchSize;
+                this.minLevel = minLevel;
+                this._batch = [];
+            }
+            RemoteLogSink.prototype.write = function (record) {
+                if(record.level >= this.minLevel) {
+                    this._batch.push(Logger.formatJSON(record));
+                    if(this._batch.length >= this.batchSize) {
+                        this.flush();
+                    }
+                }
+            };
+            RemoteLogSink.prototype.flush = /**
+            @summary Sends collected records.
+            @method Exitgames.Common.RemoteLogSink#flush
+            */
+            function () {
+                if(this._batch.length > 0) {
+                    var batch = this._batch;
+                    this._batch = [];
+                    this.send(this.url, "[" + batch.join(",") + "]");
+                }
+            };
+            RemoteLogSink.prototype.send = /**
+            @summary Delivers batch to collector. Does nothing by default. Override to post payload to collector.
+            @method Exitgames.Common.RemoteLogSink#send
+            @param {string} url Collector address.
+            @param {string} payload JSON array of records.
+            */
+            function (url, payload) {
+            };
+            return RemoteLogSink;
+        })();
+        Common.RemoteLogSink = RemoteLogSink;        
+        /**
+        @summary Console sink registered by default.
+        @member Exitgames.Common.Logger.consoleSink
+        @type {Exitgames.Common.ConsoleLogSink}
+        */
+        Logger.consoleSink = new ConsoleLogSink();
+        Logger._categoryLevels = [];
+        Logger._categoryLevelsVersion = 0;
+        /**
+        @summary Query string keys which values are masked in log messages and parameters.
+        @member Exitgames.Common.Logger.sensitiveQueryKeys
+        @type {string[]}
+        @default ["token", "password"]
+        */
+        Logger.sensitiveQueryKeys = [
+            "token", 
+            "password"
+        ];
+        Logger.MaxRedactionDepth = 8;
+        Logger._sinks = [
+            Logger.consoleSink
+        ];        
         var Util = (function () {
             function Util() { }
             Util.indexOf = function indexOf(arr, item, from) {
@@ -736,6 +3165,47 @@ var Exitgames;
                     return defaultValue;
                 }
             };
+            Util.utf8Length = function utf8Length(str) {
+                var length = 0;
+                for(var i = 0; i < str.length; i++) {
+                    var c = str.charCodeAt(i);
+                    if(c < 0x80) {
+                        length += 1;
+                    } else {
+                        if(c < 0x800) {
+                            length += 2;
+                        } else {
+                            if(c >= 0xd800 && c < 0xdc00 && i + 1 < str.length) {
+                                // surrogate pair
+                                length += 4;
+                                i++;
+                            } else {
+                                length += 3;
+                            }
+                        }
+                    }
+                }
+                return length;
+            };
+            Util.createDeferred = function createDeferred() {
+                var deferred = {
+                    promise: undefined,
+                    resolve: function (value) {
+                    },
+                    reject: function (reason) {
+                    }
+                };
+                if(typeof Promise !== "undefined") {
+                    deferred.promise = new Promise(function (resolve, reject) {
+                        deferred.resolve = resolve;
+                        deferred.reject = reject;
+                    });
+                    // result may be ignored by caller: mark promise as handled to avoid unhandled rejection reports
+                    deferred.promise["catch"](function () {
+                    });
+                }
+                return deferred;
+            };
             Util.enumValueToName = function enumValueToName(enumObj, value) {
                 for(var i in enumObj) {
                     if(value == enumObj[i]) {
@@ -854,7 +3324,9 @@ var Photon;
                 254,
                 PropertiesChanged: //
                 // Summary:
-                //     (253) Event PropertiesChanged
+                //     (253) Event PropertiesChanged: someone set room or actor properties with broadcast.
+                //     LitePeer merges them into room or actor state and passes { actorNr, targetActorNr,
+                //     actor, properties, changedKeys } to listeners. targetActorNr is 0 for room properties.
                 253
             };
             // Summary:
@@ -892,16 +3364,31 @@ var Photon;
                 //     (252) Code for OpSetProperties.
                 252
             };
+            // Summary:
+            //     Lite - Flags for "types of properties", being used as filter in OpGetProperties
+            //     (sent as LiteOpKey.Properties).
+            Constants.LitePropertyTypes = {
+                None: // Summary:
+                //     (0x00) Flag type for no property type.
+                0,
+                Game: //
+                // Summary:
+                //     (0x01) Flag type for game-attached properties.
+                1,
+                Actor: //
+                // Summary:
+                //     (0x02) Flag type for actor related propeties.
+                2,
+                GameAndActor: //
+                // Summary:
+                //     (0x03) Flag type for game AND actor properties. Equal to 'Game|Actor'.
+                3
+            };
         })(Lite.Constants || (Lite.Constants = {}));
         var Constants = Lite.Constants;
     })(Photon.Lite || (Photon.Lite = {}));
     var Lite = Photon.Lite;
 })(Photon || (Photon = {}));
-var __extends = this.__extends || function (d, b) {
-    function __() { this.constructor = d; }
-    __.prototype = b.prototype;
-    d.prototype = new __();
-};
 var Photon;
 (function (Photon) {
     /// <reference path="photon.ts"/>
@@ -918,12 +3405,15 @@ var Photon;
             @constructor Photon.Lite.LitePeer
             @param {string} url Server address:port.
             @param {string} [subprotocol=""] WebSocket protocol.
+            @param {Photon.Transport} [transport] Transport used for communication with server.
             */
-            function LitePeer(url, subprotocol) {
+            function LitePeer(url, subprotocol, transport) {
                 if (typeof subprotocol === "undefined") { subprotocol = ""; }
-                        _super.call(this, url, subprotocol);
+                        _super.call(this, url, subprotocol, "", transport);
+                this._logger.category = "Lite";
                 this.isJoined = false;
                 this.roomName = "";
+                this._joiningRoomName = "";
                 this.room = {
                     properties: {
                     }
@@ -935,6 +3425,14 @@ var Photon;
                     properties: {
                     }
                 };
+                this._resyncEnabled = false;
+                this._autoRejoin = true;
+                this._resyncRoomName = "";
+                this._resyncing = false;
+                // local actor properties passed to rejoin, server doesn't echo own properties
+                this._joiningActorProperties = undefined;
+                this._resyncActorProperties = undefined;
+                this._disconnectRequested = false;
             }
             LitePeer.prototype.myActor = /**
             @summary Returns local actor data.
@@ -944,6 +3442,45 @@ var Photon;
             function () {
                 return this._myActor;
             };
+            LitePeer.prototype.setResync = /**
+            @summary Enables room state resynchronization after connection loss.
+            If enabled, room and actors state is kept when connection to joined room is lost. After reconnecting and rejoining the same room, peer fetches room and actor properties, compares them and actors list with kept state and dispatches Join, Leave and PropertiesChanged events for changes missed.
+            Resync PropertiesChanged events have 'resync' set to true, actorNr -1 and removed keys listed in changedKeys with null values.
+            If disabled (default), room state is cleared on connection loss.
+            @method Photon.Lite.LitePeer#setResync
+            @param {bool} enabled Enables resync.
+            @param {bool} [autoRejoin=true] Rejoin the room automatically on reconnect (local actor properties known at connection loss are passed to Join). Otherwise, resync starts when application joins the same room.
+            If rejoin fails, kept state is cleared. Calling {@link Photon.Lite.LitePeer#disconnect} clears kept state and skips rejoin.
+            */
+            function (enabled, autoRejoin) {
+                if (typeof autoRejoin === "undefined") { autoRejoin = true; }
+                this._resyncEnabled = enabled;
+                this._autoRejoin = autoRejoin;
+                if(!enabled && this._resyncRoomName) {
+                    this._resyncRoomName = "";
+                    this._clearRoomState();
+                }
+            };
+            LitePeer.prototype.isResyncPending = /**
+            @summary Checks if room state is kept for resync after connection loss.
+            @method Photon.Lite.LitePeer#isResyncPending
+            @returns {bool} True if peer waits for rejoin of room it was disconnected from.
+            */
+            function () {
+                return this._resyncRoomName !== "";
+            };
+            LitePeer.prototype.disconnect = /**
+            @summary Disconnects from server. Room state is not kept for resync.
+            @method Photon.Lite.LitePeer#disconnect
+            */
+            function () {
+                this._disconnectRequested = true;
+                if(this._resyncRoomName) {
+                    this._resyncRoomName = "";
+                    this._clearRoomState();
+                }
+                _super.prototype.disconnect.call(this);
+            };
             LitePeer.prototype.join = /**
             @summary Joins an existing room by name or create one if the name is not in use yet.
             @method Photon.Lite.LitePeer#join
@@ -951,6 +3488,7 @@ var Photon;
             @param {object} [roomProperties] Set of room properties, by convention: only used if room is new/created.
             @param {object} [actorProperties] Set of actor properties.
             @param {object} [broadcast] Broadcast actor proprties in join-event.
+            @returns {Promise} Resolved with Join response or rejected with {@link Photon.OperationError}. Undefined if Promise is not supported by environment.
             */
             function (roomName, roomProperties, actorProperties, broadcast) {
                 if(roomName !== undefined && this.isConnected() && !this.isJoined) {
@@ -970,7 +3508,9 @@ var Photon;
                     sndArr.push(Lite.Constants.LiteOpKey.Broadcast)//TODO: broadcast defaults to false. could be skipped in that case (similar to actorProperties)
                     ;
                     sndArr.push(broadcast || false);
-                    this.sendOperation(Lite.Constants.LiteOpCode.Join, sndArr);
+                    this._joiningRoomName = roomName + "";
+                    this._joiningActorProperties = actorProperties;
+                    return this.sendOperation(Lite.Constants.LiteOpCode.Join, sndArr);
                 } else {
                     if(roomName === undefined) {
                         throw new Error("PhotonPeer.Lite[join] - Trying to join with undefined roomName!");
@@ -986,11 +3526,12 @@ var Photon;
             LitePeer.prototype.leave = /**
             @summary Leaves a room, but keeps the connection.
             @method Photon.Lite.LitePeer#leave
+            @returns {Promise} Resolved with Leave response or rejected with {@link Photon.OperationError}. Undefined if Promise is not supported by environment.
             */
             function () {
                 if(this.isJoined) {
                     this._logger.debug("PhotonPeer.Lite[leave] - Leaving ...");
-                    this.sendOperation(Lite.Constants.LiteOpCode.Leave);
+                    return this.sendOperation(Lite.Constants.LiteOpCode.Leave);
                 } else {
                     throw new Error("PhotonPeer.Lite[leave] - Not joined!");
                 }
@@ -1000,17 +3541,20 @@ var Photon;
             @method Photon.Lite.LitePeer#raiseEvent
             @param {number} eventCode The code of custom event.
             @param {object} data Event content
+            @param {bool} [expectResponse=false] Track operation until server responds. Server responds to RaiseEvent only if it fails.
+            @returns {Promise} Resolved with RaiseEvent response or rejected with {@link Photon.OperationError} if expectResponse is set. Undefined otherwise or if Promise is not supported by environment.
             */
-            function (eventCode, data) {
+            function (eventCode, data, expectResponse) {
+                if (typeof expectResponse === "undefined") { expectResponse = false; }
                 if(this.isJoined) {
                     if(data !== undefined) {
                         this._logger.debug('PhotonPeer.Lite[raiseEvent] - Event', eventCode, ":", data);
-                        this.sendOperation(Lite.Constants.LiteOpCode.RaiseEvent, [
+                        return this.sendOperation(Lite.Constants.LiteOpCode.RaiseEvent, [
                             Lite.Constants.LiteOpKey.Code, 
                             eventCode, 
                             Lite.Constants.LiteOpKey.Data, 
-                            data
-                        ]);
+                            this._compressPayload(data)
+                        ], undefined, undefined, expectResponse);
                     } else {
                         throw new Error(this._logger.format('PhotonPeer.Lite[raiseEvent] - Event', eventCode, '- data not passed in as object!'));//bug? eventName
                         
@@ -1025,11 +3569,12 @@ var Photon;
             @param {number} actorNr Id of actor.
             @param {object} data Actor properties to set or update.
             @param {bool} broadcast Triggers an LiteEventCode.PropertiesChanged event if true.
+            @returns {Promise} Resolved with SetProperties response or rejected with {@link Photon.OperationError}. Undefined if Promise is not supported by environment.
             */
             function (actorNr, data, broadcast) {
                 if(this.isJoined) {
                     this._logger.debug("PhotonPeer.Lite[setActorProperties] - actorNumber:" + actorNr + ", broadcast:" + broadcast + ", data:", data);
-                    this.sendOperation(Lite.Constants.LiteOpCode.SetProperties, [
+                    return this.sendOperation(Lite.Constants.LiteOpCode.SetProperties, [
                         Lite.Constants.LiteOpKey.Broadcast, 
                         broadcast, 
                         Lite.Constants.LiteOpKey.Properties, 
@@ -1044,41 +3589,48 @@ var Photon;
             LitePeer.prototype.getActorProperties = /**
             @summary Requests selected properties of specified actors.
             @method Photon.Lite.LitePeer#getActorProperties
-            @param {object} [propertyKeys] Property keys to fetch. All properties will return if not specified.
+            @param {string[]} [propertyKeys] Property keys to fetch. All properties will return if not specified.
             @param {number[]} [actorNrs] List of actornumbers to get the properties of. Properties of all actors will return if not specified.
+            @returns {Promise} Resolved with GetProperties response or rejected with {@link Photon.OperationError}. Undefined if Promise is not supported by environment.
             */
             function (propertyKeys, actorNrs) {
+                return this.getProperties(Lite.Constants.LitePropertyTypes.Actor, undefined, propertyKeys, actorNrs);
+            };
+            LitePeer.prototype.getProperties = /**
+            @summary Requests selected properties of joined room and/or actors in one round-trip. Response updates room and actor properties known by peer: properties fetched without key filter replace known ones, filtered ones are merged into them.
+            @method Photon.Lite.LitePeer#getProperties
+            @param {Photon.Lite.Constants.LitePropertyTypes} [propertyType=GameAndActor] Selects if room properties, actor properties or both are requested.
+            @param {string[]} [roomPropertyKeys] Room property keys to fetch. All room properties will return if not specified.
+            @param {string[]} [actorPropertyKeys] Actor property keys to fetch. All actor properties will return if not specified.
+            @param {number[]} [actorNrs] List of actor numbers to get the properties of. Properties of all actors will return if not specified.
+            @returns {Promise} Resolved with GetProperties response or rejected with {@link Photon.OperationError}. Undefined if Promise is not supported by environment.
+            */
+            function (propertyType, roomPropertyKeys, actorPropertyKeys, actorNrs) {
+                if (typeof propertyType === "undefined") { propertyType = Lite.Constants.LitePropertyTypes.GameAndActor; }
                 if(this.isJoined) {
-                    var sndArr = [];
-                    sndArr.push(Lite.Constants.LiteOpKey.ActorProperties);
-                    if(propertyKeys !== undefined) {
-                        if(Exitgames.Common.Util.isArray(propertyKeys)) {
-                            if(propertyKeys.length > 0) {
-                                sndArr.push(propertyKeys);
-                            }
-                        }
-                    }
-                    if(sndArr.length !== 2) {
-                        //TODO: make it an else block. this will break of order in array gets changed!
-                        sndArr.push(null);
+                    if(!(propertyType & Lite.Constants.LitePropertyTypes.GameAndActor) || (propertyType & ~Lite.Constants.LitePropertyTypes.GameAndActor)) {
+                        throw new Error(this._logger.format("PhotonPeer.Lite[getProperties] - Invalid property type:", propertyType));
                     }
-                    sndArr.push(Lite.Constants.LiteOpKey.ActorList);
-                    if(actorNrs !== undefined) {
-                        if(Exitgames.Common.Util.isArray(actorNrs)) {
-                            if(actorNrs.length > 0) {
-                                sndArr.push(actorNrs);
-                            }
-                        }
+                    var sndArr = [
+                        Lite.Constants.LiteOpKey.Properties, 
+                        propertyType
+                    ];
+                    if(propertyType & Lite.Constants.LitePropertyTypes.Game) {
+                        LitePeer._pushFilter(sndArr, Lite.Constants.LiteOpKey.GameProperties, roomPropertyKeys);
                     }
-                    if(sndArr.length !== 4) {
-                        //TODO: make it an else block. this will break of order in array gets changed!
-                        sndArr.push(null);
+                    if(propertyType & Lite.Constants.LitePropertyTypes.Actor) {
+                        LitePeer._pushFilter(sndArr, Lite.Constants.LiteOpKey.ActorProperties, actorPropertyKeys);
+                        LitePeer._pushFilter(sndArr, Lite.Constants.LiteOpKey.ActorList, actorNrs);
                     }
-                    sndArr.push(Lite.Constants.LiteOpKey.Properties);
-                    sndArr.push(2)//TODO: what is this 2? should not be hard coded
-                    ;
-                    this._logger.debug("PhotonPeer.Lite[getActorProperties] -", sndArr);
-                    this.sendOperation(Lite.Constants.LiteOpCode.GetProperties, sndArr);
+                    this._logger.debug("PhotonPeer.Lite[getProperties] -", sndArr);
+                    var pending = this._sendOperation(Lite.Constants.LiteOpCode.GetProperties, sndArr);
+                    // responses carry no filter, it's applied to response settling this operation
+                    pending.getPropertiesRequest = {
+                        replaceRoom: !LitePeer._isFilter(roomPropertyKeys),
+                        replaceActors: !LitePeer._isFilter(actorPropertyKeys),
+                        actorNrs: LitePeer._isFilter(actorNrs) ? actorNrs : undefined
+                    };
+                    return pending.deferred.promise;
                 } else {
                     throw new Error("PhotonPeer.Lite[getProperties] - Not joined!");
                 }
@@ -1088,12 +3640,13 @@ var Photon;
             @method Photon.Lite.LitePeer#setRoomProperties
             @param {object} data Room properties to set or update.
             @param {bool} broadcast Triggers an LiteEventCode.PropertiesChanged event if true.
+            @returns {Promise} Resolved with SetProperties response or rejected with {@link Photon.OperationError}. Undefined if Promise is not supported by environment.
             */
             function (data, broadcast) {
                 if(this.isJoined) {
                     this._logger.debug("PhotonPeer.Lite[setRoomProperties] - broadcast:" + broadcast + ", data:", data)//bug? actorNumber: " + actorNumber + ",
                     ;
-                    this.sendOperation(Lite.Constants.LiteOpCode.SetProperties, [
+                    return this.sendOperation(Lite.Constants.LiteOpCode.SetProperties, [
                         Lite.Constants.LiteOpKey.Broadcast, 
                         broadcast, 
                         Lite.Constants.LiteOpKey.Properties, 
@@ -1106,30 +3659,17 @@ var Photon;
             LitePeer.prototype.getRoomProperties = /**
             @summary Requests selected properties of joined room.
             @method Photon.Lite.LitePeer#getRoomProperties
-            @param {object} [propertyKeys] Property keys to fetch. All properties will return if not specified.
+            @param {string[]} [propertyKeys] Property keys to fetch. All properties will return if not specified.
+            @returns {Promise} Resolved with GetProperties response or rejected with {@link Photon.OperationError}. Undefined if Promise is not supported by environment.
             */
             function (propertyKeys) {
-                if(this.isJoined) {
-                    var sndArr = [];
-                    sndArr.push(Lite.Constants.LiteOpKey.GameProperties);
-                    if(propertyKeys !== undefined) {
-                        if(Exitgames.Common.Util.isArray(propertyKeys)) {
-                            if(propertyKeys.length > 0) {
-                                sndArr.push(propertyKeys);
-                            }
-                        }
-                    } else {
-                        sndArr.push(null);
-                    }
-                    this._logger.debug("PhotonPeer.Lite[getRoomProperties] -", sndArr);
-                    this.sendOperation(Lite.Constants.LiteOpCode.GetProperties, sndArr);
-                } else {
-                    throw new Error("PhotonPeer.Lite[getRoomProperties] - Not joined!");
-                }
+                return this.getProperties(Lite.Constants.LitePropertyTypes.Game, propertyKeys);
             };
             LitePeer.prototype._addActor = function (actorNr) {
                 this.actors[actorNr] = {
-                    photonId: actorNr
+                    photonId: actorNr,
+                    properties: {
+                    }
                 };
                 this._logger.debug("PhotonPeer.Lite[_addActor] - Added actorNr", actorNr, "actors known are now ", this.actors);
                 return this.actors[actorNr];
@@ -1157,7 +3697,6 @@ var Photon;
                         this._onEventLeave(actorNr);
                         break;
                     case Lite.Constants.LiteEventCode.PropertiesChanged:
-                        //TODO: bug?
                         this._onEventSetProperties(event, actorNr);
                         break;
                     default:
@@ -1174,25 +3713,166 @@ var Photon;
                     this._logger.debug("PhotonPeer.Lite[_onEventJoin] - ActorNr", actorNr, "joined.");
                     this._addActor(actorNr);
                     this._dispatchEvent(Lite.Constants.LiteEventCode.Join, {
+                        actorNr: actorNr,
                         newActors: [
                             actorNr
                         ]
                     });
                 } else {
-                    var eventActors = event.vals[Lite.Constants.LiteOpKey.ActorList], joinedActors = [];
+                    var eventActors = event.vals[Lite.Constants.LiteOpKey.ActorList], joinedActors = [], actorList = [];
                     for(var i in eventActors) {
-                        var actorNr = parseInt(eventActors[i]);
-                        if(actorNr !== this._myActor.photonId && this.actors[actorNr] === undefined) {
-                            this._logger.debug("PhotonPeer.Lite[_onEventJoin] - ActorNr", actorNr, "registered as already joined");
-                            this._addActor(actorNr);
-                            joinedActors.push(actorNr);
+                        var eventActorNr = parseInt(eventActors[i]);
+                        actorList.push(eventActorNr);
+                        if(eventActorNr !== this._myActor.photonId && this.actors[eventActorNr] === undefined) {
+                            this._logger.debug("PhotonPeer.Lite[_onEventJoin] - ActorNr", eventActorNr, "registered as already joined");
+                            this._addActor(eventActorNr);
+                            joinedActors.push(eventActorNr);
                         }
                     }
+                    // own join: actorList contains all actors in room including local one
                     this._dispatchEvent(Lite.Constants.LiteEventCode.Join, {
-                        newActors: joinedActors
+                        actorNr: actorNr,
+                        newActors: joinedActors,
+                        actorList: actorList
+                    });
+                    if(this._resyncing) {
+                        this._resyncing = false;
+                        this._resync(actorList);
+                    }
+                }
+            };
+            LitePeer.prototype._resync = // called on own join event after rejoin: joins are already dispatched, leaves and properties changes are left
+            function (actorList) {
+                var _this = this;
+                for(var nr in this.actors) {
+                    var cachedActorNr = parseInt(nr);
+                    if(Exitgames.Common.Util.indexOf(actorList, cachedActorNr) < 0) {
+                        this._onEventLeave(cachedActorNr);
+                    }
+                }
+                // GetProperties response is merged into cached properties before promise callback: keep copies
+                var snapshot = {
+                    room: {
+                    },
+                    actors: {
+                    }
+                };
+                Exitgames.Common.Util.merge(snapshot.room, this.room.properties);
+                for(var nr in this.actors) {
+                    snapshot.actors[nr] = {
+                    };
+                    Exitgames.Common.Util.merge(snapshot.actors[nr], this.actors[nr].properties);
+                }
+                var promise = this.getProperties(Lite.Constants.LitePropertyTypes.GameAndActor);
+                if(promise) {
+                    promise.then(function (response) {
+                        _this._onResyncProperties(snapshot, response.vals);
+                    }, function (error) {
+                        _this._logger.warn("PhotonPeer.Lite[_resync] - Fetching properties failed:", error.message);
+                    });
+                }
+            };
+            LitePeer.prototype._onResyncProperties = function (snapshot, vals) {
+                if(!this.isJoined) {
+                    return;
+                }
+                var roomProperties = vals[Lite.Constants.LiteOpKey.GameProperties] || {
+                };
+                var actorProperties = vals[Lite.Constants.LiteOpKey.ActorProperties] || {
+                };
+                // fetched properties are complete: replace merged ones to drop removed keys
+                this.room.properties = roomProperties;
+                this._dispatchResyncDiff(0, undefined, snapshot.room, roomProperties);
+                for(var nr in this.actors) {
+                    var actor = this.actors[nr];
+                    actor.properties = actorProperties[nr] || {
+                    };
+                    if(actor !== this._myActor && snapshot.actors[nr] !== undefined) {
+                        this._dispatchResyncDiff(actor.photonId, actor, snapshot.actors[nr], actor.properties);
+                    }
+                }
+                this._logger.info("PhotonPeer.Lite[_onResyncProperties] - Room", this.roomName, "resynced");
+            };
+            LitePeer.prototype._dispatchResyncDiff = function (targetActorNr, actor, oldProperties, newProperties) {
+                var properties = {
+                };
+                var changedKeys = [];
+                for(var key in newProperties) {
+                    if(!(key in oldProperties) || JSON.stringify(oldProperties[key]) !== JSON.stringify(newProperties[key])) {
+                        properties[key] = newProperties[key];
+                        changedKeys.push(key);
+                    }
+                }
+                for(var key in oldProperties) {
+                    if(!(key in newProperties)) {
+                        properties[key] = null;
+                        changedKeys.push(key);
+                    }
+                }
+                if(changedKeys.length > 0) {
+                    this._dispatchEvent(Lite.Constants.LiteEventCode.PropertiesChanged, {
+                        actorNr: -1,
+                        targetActorNr: targetActorNr,
+                        actor: actor,
+                        properties: properties,
+                        changedKeys: changedKeys,
+                        resync: true
                     });
                 }
             };
+            LitePeer.prototype._dispatchPeerStatus = function (code, info) {
+                var s = Photon.PhotonPeer.StatusCodes;
+                var lost = code === s.disconnect || code === s.connectClosed || code === s.timeout || code === s.error;
+                if(lost) {
+                    if(this.isJoined || this._joiningRoomName) {
+                        this._onRoomConnectionLost(!this._disconnectRequested);
+                    }
+                }
+                if(lost || code === s.connect) {
+                    this._disconnectRequested = false;
+                }
+                _super.prototype._dispatchPeerStatus.call(this, code, info);
+                if(code === s.connect && this._resyncRoomName && this._autoRejoin && !this.isJoined && !this._joiningRoomName) {
+                    this._logger.info("PhotonPeer.Lite[_dispatchPeerStatus] - Rejoining room", this._resyncRoomName);
+                    this.join(this._resyncRoomName, undefined, this._resyncActorProperties);
+                }
+            };
+            LitePeer.prototype._onRoomConnectionLost = // keep is false if application disconnected
+            function (keep) {
+                var roomName = this.isJoined ? this.roomName : this._resyncRoomName;
+                if(this.isJoined) {
+                    // snapshot before rejoin replaces local actor
+                    this._resyncActorProperties = {
+                    };
+                    Exitgames.Common.Util.merge(this._resyncActorProperties, this._myActor.properties);
+                }
+                this.isJoined = false;
+                this._joiningRoomName = "";
+                this._joiningActorProperties = undefined;
+                this._resyncing = false;
+                if(keep && this._resyncEnabled && roomName) {
+                    this._logger.info("PhotonPeer.Lite[_onRoomConnectionLost] - Connection to room", roomName, "lost, keeping state for resync");
+                    this._resyncRoomName = roomName;
+                } else {
+                    this._resyncRoomName = "";
+                    this._clearRoomState();
+                }
+            };
+            LitePeer.prototype._clearRoomState = function () {
+                this.roomName = "";
+                this._resyncActorProperties = undefined;
+                this.room = {
+                    properties: {
+                    }
+                };
+                this.actors = {
+                };
+                this._myActor = {
+                    photonId: null,
+                    properties: {
+                    }
+                };
+            };
             LitePeer.prototype._onEventLeave = function (actorNr) {
                 this._logger.debug("PhotonPeer.Lite[_onEventLeave] - ActorNr", actorNr, "left");
                 this._removeActor(actorNr);
@@ -1201,19 +3881,56 @@ var Photon;
                 });
             };
             LitePeer.prototype._onEventSetProperties = function (event, actorNr) {
-                // TODO: who can listen this?
-                //this._dispatchEvent("setProperties", { vals: event.vals, actorNr: actorNr })
-                            };
+                var targetActorNrVal = event.vals[Lite.Constants.LiteOpKey.TargetActorNr];
+                var targetActorNr = targetActorNrVal !== undefined ? parseInt(targetActorNrVal) : 0;
+                var properties = event.vals[Lite.Constants.LiteOpKey.Properties] || {
+                };
+                var changedKeys = [];
+                for(var key in properties) {
+                    changedKeys.push(key);
+                }
+                var target;
+                if(targetActorNr > 0) {
+                    target = this.actors[targetActorNr];
+                    if(target === undefined) {
+                        this._logger.warn("PhotonPeer.Lite[_onEventSetProperties] - Properties changed for unknown actorNr", targetActorNr);
+                    }
+                } else {
+                    target = this.room;
+                }
+                if(target !== undefined) {
+                    for(var i = 0; i < changedKeys.length; i++) {
+                        target.properties[changedKeys[i]] = properties[changedKeys[i]];
+                    }
+                }
+                this._logger.debug("PhotonPeer.Lite[_onEventSetProperties] - ActorNr", actorNr, "changed properties of", targetActorNr > 0 ? "actorNr " + targetActorNr : "room", ":", changedKeys);
+                this._dispatchEvent(Lite.Constants.LiteEventCode.PropertiesChanged, {
+                    actorNr: actorNr,
+                    targetActorNr: targetActorNr,
+                    actor: targetActorNr > 0 ? target : undefined,
+                    properties: properties,
+                    changedKeys: changedKeys
+                });
+            };
             LitePeer.prototype._parseResponse = function (code, response) {
                 var actorNr = this.actorNrFromVals(response.vals);
                 switch(code) {
                     case Lite.Constants.LiteOpCode.Join:
-                        this._onResponseJoin(actorNr);
+                        this._onResponseJoin(response, actorNr);
                         break;
                     case Lite.Constants.LiteOpCode.Leave:
-                        this._onResponseLeave(actorNr);
+                        this._onResponseLeave(response, actorNr);
                         break;
                     case Lite.Constants.LiteOpCode.RaiseEvent:
+                        // no listeners expected, only settle operation promise
+                        var pending = this._takePendingOperation(code);
+                        if(pending) {
+                            this._completePendingOperation(pending, {
+                                errCode: response.err,
+                                errMsg: response.msg,
+                                vals: response.vals
+                            });
+                        }
                         break;
                     case Lite.Constants.LiteOpCode.GetProperties:
                         this._onResponseGetProperties(response);
@@ -1234,53 +3951,463 @@ var Photon;
             };
             LitePeer.prototype._onResponseGetProperties = function (response) {
                 this._logger.debug("PhotonPeer.Lite[_onResponseGetProperties] - getProperties response:", response);
+                var pending = this._peekPendingOperation(Lite.Constants.LiteOpCode.GetProperties);
+                var request = pending && pending.getPropertiesRequest || {
+                    replaceRoom: false,
+                    replaceActors: false
+                };
+                // response to request filtered by keys is merged into known properties, unfiltered one replaces them
                 if(response.vals[Lite.Constants.LiteOpKey.ActorProperties] !== undefined) {
                     var actorProperties = response.vals[Lite.Constants.LiteOpKey.ActorProperties];
+                    if(request.replaceActors) {
+                        // requested actors missing in response have no properties
+                        for(var actorNr in this.actors) {
+                            if(!request.actorNrs || Exitgames.Common.Util.indexOf(request.actorNrs, parseInt(actorNr)) >= 0) {
+                                this.actors[actorNr].properties = {
+                                };
+                            }
+                        }
+                    }
                     for(var actorNr in actorProperties) {
-                        this.actors[actorNr].properties = actorProperties[actorNr];
+                        if(this.actors[actorNr] !== undefined) {
+                            Exitgames.Common.Util.merge(this.actors[actorNr].properties, actorProperties[actorNr]);
+                        } else {
+                            this._logger.warn("PhotonPeer.Lite[_onResponseGetProperties] - Properties received for unknown actorNr", actorNr);
+                        }
                     }
                 }
                 if(response.vals[Lite.Constants.LiteOpKey.GameProperties] !== undefined) {
-                    var roomProperties = response.vals[Lite.Constants.LiteOpKey.GameProperties];
-                    this.room.properties = roomProperties;
+                    if(request.replaceRoom) {
+                        this.room.properties = {
+                        };
+                    }
+                    Exitgames.Common.Util.merge(this.room.properties, response.vals[Lite.Constants.LiteOpKey.GameProperties]);
                 }
                 this._dispatchResponse(Lite.Constants.LiteOpCode.GetProperties, {
+                    errCode: response.err,
+                    errMsg: response.msg,
                     vals: response.vals
                 });
             };
-            LitePeer.prototype._onResponseJoin = function (actorNr) {
-                this.isJoined = true;
-                if(typeof this._myActor === "object") {
-                    this._myActor = this._addActor(actorNr);
-                    this._logger.debug("PhotonPeer.Lite[_onResponseJoin] - You joined as actor number / myActor.photonId has been set to:", this._myActor.photonId);
+            LitePeer.prototype._onResponseJoin = function (response, actorNr) {
+                if(response.err) {
+                    this._logger.warn("PhotonPeer.Lite[_onResponseJoin] - Joining room", this._joiningRoomName, "failed:", response.err, response.msg);
+                    if(this._resyncRoomName && this._resyncRoomName === this._joiningRoomName) {
+                        this._logger.info("PhotonPeer.Lite[_onResponseJoin] - Rejoin failed, dropping state kept for resync");
+                        this._resyncRoomName = "";
+                        this._clearRoomState();
+                    }
+                } else {
+                    if(this._resyncRoomName) {
+                        if(this._resyncRoomName === this._joiningRoomName) {
+                            this._logger.info("PhotonPeer.Lite[_onResponseJoin] - Rejoined room", this._joiningRoomName, ", starting resync");
+                            this._resyncing = true;
+                            // local actor rejoins with new actor number
+                            delete this.actors[this._myActor.photonId];
+                            this._resyncActorProperties = undefined;
+                        } else {
+                            this._clearRoomState();
+                        }
+                        this._resyncRoomName = "";
+                    }
+                    this.isJoined = true;
+                    this.roomName = this._joiningRoomName;
+                    if(typeof this._myActor === "object") {
+                        this._myActor = this._addActor(actorNr);
+                        if(typeof this._joiningActorProperties === "object") {
+                            Exitgames.Common.Util.merge(this._myActor.properties, this._joiningActorProperties);
+                        }
+                        this._logger.debug("PhotonPeer.Lite[_onResponseJoin] - You joined as actor number / myActor.photonId has been set to:", this._myActor.photonId);
+                    }
                 }
+                this._joiningRoomName = "";
+                this._joiningActorProperties = undefined;
                 this._dispatchResponse(Lite.Constants.LiteOpCode.Join, {
+                    errCode: response.err,
+                    errMsg: response.msg,
+                    actorNr: actorNr
+                });
+            };
+            LitePeer.prototype._onResponseLeave = function (response, actorNr) {
+                this.isJoined = false;
+                this._removeActor(this._myActor.photonId);
+                this._logger.debug('PhotonPeer.Lite[_onResponseLeave] - You left the room', this.roomName);
+                this.roomName = "";
+                this.room = {
+                    properties: {
+                    }
+                };
+                this._dispatchResponse(Lite.Constants.LiteOpCode.Leave, {
+                    errCode: response.err,
+                    errMsg: response.msg,
+                    actorNr: actorNr
+                });
+            };
+            LitePeer.prototype._onResponseSetProperties = function (response, actorNr) {
+                this._logger.debug("PhotonPeer.Lite[_onResponseSetProperties] - setProperties response:", response, "actorNr", actorNr);
+                this._dispatchResponse(Lite.Constants.LiteOpCode.SetProperties, {
+                    errCode: response.err,
+                    errMsg: response.msg,
+                    vals: response.vals,
                     actorNr: actorNr
                 });
             };
-            LitePeer.prototype._onResponseLeave = function (actorNr) {
-                this.isJoined = false;
-                this._removeActor(this._myActor.photonId);
-                this._logger.debug('PhotonPeer.Lite[_onResponseLeave] - You left the room', this.roomName);
-                this.roomName = "";
-                this.room = {
-                    properties: {
+            LitePeer._pushFilter = // adds optional key or actor filter parameter, empty filter means "all"
+            function _pushFilter(sndArr, key, values) {
+                if(LitePeer._isFilter(values)) {
+                    sndArr.push(key);
+                    sndArr.push(values);
+                }
+            };
+            LitePeer._isFilter = function _isFilter(values) {
+                return Exitgames.Common.Util.isArray(values) && values.length > 0;
+            };
+            return LitePeer;
+        })(Photon.PhotonPeer);
+        Lite.LitePeer = LitePeer;        
+        var LiteError = (function (_super) {
+            __extends(LiteError, _super);
+            /**
+            @classdesc Rejection reason of promises returned by {@link Photon.Lite.LiteClient} methods.
+            @extends Error
+            @constructor Photon.Lite.LiteError
+            @param {Photon.Lite.LiteError.Code} errorCode Error code.
+            @param {string} errorMsg Error message.
+            @param {Error} [cause] Underlying error, e.g. {@link Photon.OperationError} with server error code.
+            */
+            function LiteError(errorCode, errorMsg, cause) {
+                        _super.call(this);
+                this.name = "LiteError";
+                this.message = errorMsg;
+                this.stack = new Error(this.message).stack;
+                this.errorCode = errorCode;
+                this.cause = cause;
+            }
+            /**
+            @summary Error codes of {@link Photon.Lite.LiteError}.
+            @member Photon.Lite.LiteError.Code
+            @readonly
+            @property {number} NotConnected Peer is not connected.
+            @property {number} NotJoined Operation requires joined room.
+            @property {number} AlreadyJoined Room is already joined.
+            @property {number} InvalidArgument Missing or invalid method argument.
+            @property {number} ConnectFailed Connection could not be established.
+            @property {number} ConnectionLost Connection lost before operation completed.
+            @property {number} OperationFailed Server responded with error, cause is {@link Photon.OperationError}.
+            @property {number} OperationTimeout No response within operation timeout, cause is {@link Photon.OperationTimeoutError}.
+            */
+            LiteError.Code = {
+                NotConnected: 1,
+                NotJoined: 2,
+                AlreadyJoined: 3,
+                InvalidArgument: 4,
+                ConnectFailed: 5,
+                ConnectionLost: 6,
+                OperationFailed: 7,
+                OperationTimeout: 8
+            };
+            return LiteError;
+        })(Error);
+        Lite.LiteError = LiteError;        
+        var LiteClient = (function () {
+            /**
+            @classdesc Promise based facade over {@link Photon.Lite.LitePeer}. Methods don't throw: misuse and failures reject returned promises with {@link Photon.Lite.LiteError}. Requires Promise support by environment.
+            Peer state (room and actor properties, actors list) and event listeners are still available via {@link Photon.Lite.LiteClient#peer}.
+            @constructor Photon.Lite.LiteClient
+            @param {Photon.Lite.LitePeer} peer Peer used for communication with server.
+            */
+            function LiteClient(peer) {
+                this.peer = peer;
+            }
+            LiteClient.prototype.connect = /**
+            @summary Connects peer to server.
+            @method Photon.Lite.LiteClient#connect
+            @returns {Promise} Resolved when connected or rejected with {@link Photon.Lite.LiteError}.
+            */
+            function () {
+                var _this = this;
+                if(this.peer.isConnected()) {
+                    return this._resolve(undefined);
+                }
+                var deferred = Exitgames.Common.Util.createDeferred();
+                var dispose = this.peer.subscribe(Photon.PhotonPeer.ListenerType.PeerStatus, Photon.PhotonPeer.AnyCode, function (status, info) {
+                    if(status === Photon.PhotonPeer.StatusCodes.connect) {
+                        dispose();
+                        deferred.resolve(undefined);
+                    } else {
+                        if(LiteClient._isConnectionLoss(status)) {
+                            dispose();
+                            deferred.reject(new LiteError(LiteError.Code.ConnectFailed, "Connection failed: " + status + (info && info.cause ? " (" + info.cause + ")" : "")));
+                        }
+                    }
+                });
+                try  {
+                    this.peer.connect();
+                } catch (error) {
+                    dispose();
+                    deferred.reject(new LiteError(LiteError.Code.ConnectFailed, error.message, error));
+                }
+                return deferred.promise;
+            };
+            LiteClient.prototype.disconnect = /**
+            @summary Disconnects peer from server.
+            @method Photon.Lite.LiteClient#disconnect
+            */
+            function () {
+                this.peer.disconnect();
+            };
+            LiteClient.prototype.join = /**
+            @summary Joins an existing room by name or creates one if the name is not in use yet.
+            @method Photon.Lite.LiteClient#join
+            @param {string} roomName Any identifying name for a room
+            @param {object} [roomProperties] Set of room properties, by convention: only used if room is new/created.
+            @param {object} [actorProperties] Set of actor properties.
+            @param {object} [broadcast] Broadcast actor proprties in join-event.
+            @returns {Promise} Resolved after own Join event with { actorNr, actors } object: assigned actor number and numbers of all actors in room including local one. Rejected with {@link Photon.Lite.LiteError}.
+            */
+            function (roomName, roomProperties, actorProperties, broadcast) {
+                var _this = this;
+                var peer = this.peer;
+                if(roomName === undefined || roomName === null) {
+                    return this._reject(LiteError.Code.InvalidArgument, "Room name is not defined");
+                }
+                if(!peer.isConnected()) {
+                    return this._reject(LiteError.Code.NotConnected, "Not connected");
+                }
+                if(peer.isJoined) {
+                    return this._reject(LiteError.Code.AlreadyJoined, "Already joined room " + peer.roomName);
+                }
+                var deferred = Exitgames.Common.Util.createDeferred();
+                var responded = false, settled = false, joinEvent = null;
+                var disposers = [];
+                var settle = function (error) {
+                    if(settled) {
+                        return;
+                    }
+                    settled = true;
+                    for(var i = 0; i < disposers.length; i++) {
+                        disposers[i]();
+                    }
+                    if(error) {
+                        deferred.reject(error);
+                    } else {
+                        deferred.resolve({
+                            actorNr: peer.myActor().photonId,
+                            actors: joinEvent.actorList
+                        });
+                    }
+                };
+                // own Join event may be received in the same frame as response, before response promise callback
+                disposers.push(peer.subscribe(Photon.PhotonPeer.ListenerType.Event, Lite.Constants.LiteEventCode.Join, function (ev) {
+                    if(peer.isJoined && ev.actorNr === peer.myActor().photonId) {
+                        joinEvent = ev;
+                        if(responded) {
+                            settle();
+                        }
+                    }
+                }));
+                disposers.push(this._addConnectionLossListener(function (status) {
+                    settle(new LiteError(LiteError.Code.ConnectionLost, "Connection lost while joining room " + roomName + ": " + status));
+                }));
+                var joined = this._invoke(function () {
+                    return peer.join(roomName, roomProperties, actorProperties, broadcast);
+                });
+                if(joined) {
+                    joined.then(function () {
+                        responded = true;
+                        if(joinEvent) {
+                            settle();
+                        }
+                    }, function (error) {
+                        settle(error);
+                    });
+                }
+                return deferred.promise;
+            };
+            LiteClient.prototype.leave = /**
+            @summary Leaves a room, but keeps the connection.
+            @method Photon.Lite.LiteClient#leave
+            @returns {Promise} Resolved when room is left or rejected with {@link Photon.Lite.LiteError}.
+            */
+            function () {
+                var peer = this.peer;
+                return this._request(function () {
+                    return peer.leave();
+                }, function () {
+                    return undefined;
+                });
+            };
+            LiteClient.prototype.raiseEvent = /**
+            @summary Sends your custom data as event to actors in the current room.
+            @method Photon.Lite.LiteClient#raiseEvent
+            @param {number} eventCode The code of custom event.
+            @param {object} data Event content.
+            @returns {Promise} Resolved when event is sent or rejected with {@link Photon.Lite.LiteError}.
+            */
+            function (eventCode, data) {
+                var peer = this.peer;
+                if(data === undefined) {
+                    return this._reject(LiteError.Code.InvalidArgument, "Event " + eventCode + " data is not defined");
+                }
+                return this._request(function () {
+                    return peer.raiseEvent(eventCode, data);
+                }, function () {
+                    return undefined;
+                });
+            };
+            LiteClient.prototype.setActorProperties = /**
+            @summary Sets or updates properties of specified actor.
+            @method Photon.Lite.LiteClient#setActorProperties
+            @param {number} actorNr Id of actor.
+            @param {object} data Actor properties to set or update.
+            @param {bool} [broadcast=false] Triggers an LiteEventCode.PropertiesChanged event if true.
+            @returns {Promise} Resolved when properties are set or rejected with {@link Photon.Lite.LiteError}.
+            */
+            function (actorNr, data, broadcast) {
+                var peer = this.peer;
+                return this._request(function () {
+                    return peer.setActorProperties(actorNr, data, broadcast || false);
+                }, function () {
+                    return undefined;
+                });
+            };
+            LiteClient.prototype.setRoomProperties = /**
+            @summary Sets or updates properties of joined room.
+            @method Photon.Lite.LiteClient#setRoomProperties
+            @param {object} data Room properties to set or update.
+            @param {bool} [broadcast=false] Triggers an LiteEventCode.PropertiesChanged event if true.
+            @returns {Promise} Resolved when properties are set or rejected with {@link Photon.Lite.LiteError}.
+            */
+            function (data, broadcast) {
+                var peer = this.peer;
+                return this._request(function () {
+                    return peer.setRoomProperties(data, broadcast || false);
+                }, function () {
+                    return undefined;
+                });
+            };
+            LiteClient.prototype.getRoomProperties = /**
+            @summary Requests selected properties of joined room.
+            @method Photon.Lite.LiteClient#getRoomProperties
+            @param {string[]} [propertyKeys] Property keys to fetch. All properties will return if not specified.
+            @returns {Promise} Resolved with room properties object or rejected with {@link Photon.Lite.LiteError}.
+            */
+            function (propertyKeys) {
+                var peer = this.peer;
+                return this._request(function () {
+                    return peer.getRoomProperties(propertyKeys);
+                }, function (response) {
+                    return response.vals[Lite.Constants.LiteOpKey.GameProperties] || {
+                    };
+                });
+            };
+            LiteClient.prototype.getActorProperties = /**
+            @summary Requests selected properties of specified actors.
+            @method Photon.Lite.LiteClient#getActorProperties
+            @param {string[]} [propertyKeys] Property keys to fetch. All properties will return if not specified.
+            @param {number[]} [actorNrs] List of actor numbers to get the properties of. Properties of all actors will return if not specified.
+            @returns {Promise} Resolved with object mapping actor numbers to their properties or rejected with {@link Photon.Lite.LiteError}.
+            */
+            function (propertyKeys, actorNrs) {
+                var peer = this.peer;
+                return this._request(function () {
+                    return peer.getActorProperties(propertyKeys, actorNrs);
+                }, function (response) {
+                    return response.vals[Lite.Constants.LiteOpKey.ActorProperties] || {
+                    };
+                });
+            };
+            LiteClient.prototype.getProperties = /**
+            @summary Requests selected properties of joined room and/or actors in one round-trip.
+            @method Photon.Lite.LiteClient#getProperties
+            @param {Photon.Lite.Constants.LitePropertyTypes} [propertyType=GameAndActor] Selects if room properties, actor properties or both are requested.
+            @param {string[]} [roomPropertyKeys] Room property keys to fetch. All room properties will return if not specified.
+            @param {string[]} [actorPropertyKeys] Actor property keys to fetch. All actor properties will return if not specified.
+            @param {number[]} [actorNrs] List of actor numbers to get the properties of. Properties of all actors will return if not specified.
+            @returns {Promise} Resolved with { roomProperties, actorProperties } object (actorProperties maps actor numbers to their properties) or rejected with {@link Photon.Lite.LiteError}.
+            */
+            function (propertyType, roomPropertyKeys, actorPropertyKeys, actorNrs) {
+                var peer = this.peer;
+                return this._request(function () {
+                    return peer.getProperties(propertyType, roomPropertyKeys, actorPropertyKeys, actorNrs);
+                }, function (response) {
+                    return {
+                        roomProperties: response.vals[Lite.Constants.LiteOpKey.GameProperties] || {
+                        },
+                        actorProperties: response.vals[Lite.Constants.LiteOpKey.ActorProperties] || {
+                        }
+                    };
+                });
+            };
+            LiteClient.prototype._request = // sends operation requiring joined room, response is converted with parse on success
+            function (send, parse) {
+                if(!this.peer.isConnected()) {
+                    return this._reject(LiteError.Code.NotConnected, "Not connected");
+                }
+                if(!this.peer.isJoined) {
+                    return this._reject(LiteError.Code.NotJoined, "Not joined");
+                }
+                var promise = this._invoke(send);
+                return promise ? promise.then(parse) : undefined;
+            };
+            LiteClient.prototype._invoke = // converts peer exceptions and operation errors to LiteError rejections
+            function (send) {
+                var deferred = Exitgames.Common.Util.createDeferred();
+                var promise;
+                try  {
+                    promise = send();
+                } catch (error) {
+                    deferred.reject(new LiteError(LiteError.Code.OperationFailed, error.message, error));
+                    return deferred.promise;
+                }
+                if(promise) {
+                    promise.then(function (response) {
+                        deferred.resolve(response);
+                    }, function (error) {
+                        deferred.reject(LiteClient._toLiteError(error));
+                    });
+                } else {
+                    // operation without response (e.g. RaiseEvent) or Promise not supported by environment
+                    deferred.resolve(undefined);
+                }
+                return deferred.promise;
+            };
+            LiteClient.prototype._addConnectionLossListener = function (callback) {
+                return this.peer.subscribe(Photon.PhotonPeer.ListenerType.PeerStatus, Photon.PhotonPeer.AnyCode, function (status) {
+                    if(LiteClient._isConnectionLoss(status)) {
+                        callback(status);
                     }
-                };
-                this._dispatchResponse(Lite.Constants.LiteOpCode.Leave, {
-                    actorNr: actorNr
                 });
             };
-            LitePeer.prototype._onResponseSetProperties = function (response, actorNr) {
-                this._logger.debug("PhotonPeer.Lite[_onResponseSetProperties] - setProperties response:", response, "actorNr", actorNr);
-                this._dispatchResponse(Lite.Constants.LiteOpCode.SetProperties, {
-                    vals: response.vals,
-                    actorNr: actorNr
-                });
+            LiteClient.prototype._resolve = function (value) {
+                var deferred = Exitgames.Common.Util.createDeferred();
+                deferred.resolve(value);
+                return deferred.promise;
             };
-            return LitePeer;
-        })(Photon.PhotonPeer);
-        Lite.LitePeer = LitePeer;        
+            LiteClient.prototype._reject = function (errorCode, errorMsg) {
+                var deferred = Exitgames.Common.Util.createDeferred();
+                deferred.reject(new LiteError(errorCode, "LiteClient: " + errorMsg));
+                return deferred.promise;
+            };
+            LiteClient._isConnectionLoss = function _isConnectionLoss(status) {
+                var s = Photon.PhotonPeer.StatusCodes;
+                return status === s.connectFailed || status === s.disconnect || status === s.connectClosed || status === s.timeout || status === s.error;
+            };
+            LiteClient._toLiteError = function _toLiteError(error) {
+                if(error instanceof Photon.OperationTimeoutError) {
+                    return new LiteError(LiteError.Code.OperationTimeout, error.message, error);
+                } else {
+                    if(error instanceof Photon.OperationAbortedError) {
+                        return new LiteError(LiteError.Code.ConnectionLost, error.message, error);
+                    } else {
+                        // Photon.OperationError or exception
+                        return new LiteError(LiteError.Code.OperationFailed, error && error.message !== undefined ? error.message : String(error), error);
+                    }
+                }
+            };
+            return LiteClient;
+        })();
+        Lite.LiteClient = LiteClient;        
     })(Photon.Lite || (Photon.Lite = {}));
     var Lite = Photon.Lite;
 })(Photon || (Photon = {}));
@@ -1502,7 +4629,9 @@ var Photon;
                 ClientAuthenticationType: /// <summary>(217) This key's (byte) value defines the target custom authentication type/service the client connects with. Used in OpAuthenticate</summary>
                 217,
                 ClientAuthenticationParams: /// <summary>(216) This key's (string) value provides parameters sent to the custom authentication type/service the client connects with. Used in OpAuthenticate</summary>
-                216
+                216,
+                ClientAuthenticationData: /// <summary>(214) This key's (string, object or byte array) value is sent as POST body to the custom authentication type/service the client connects with. Used in OpAuthenticate</summary>
+                214
             };
             /**
             @summary Codes for parameters and events used in Photon Load Balancing API.
@@ -1639,11 +4768,41 @@ var Photon;
             @member Photon.LoadBalancing.Constants.CustomAuthenticationType
             @readonly
             @property {number} Custom Default. Use a custom authentification service.
+            @property {number} Steam Authenticates users by their Steam Account. Set auth ticket as "ticket" parameter.
+            @property {number} Facebook Authenticates users by their Facebook Account. Set auth token as "token" parameter.
+            @property {number} Oculus Authenticates users by their Oculus Account and token. Set "userid" and "nonce" parameters.
+            @property {number} PlayStation4 Authenticates users by their PSN Account and token on PS4.
+            @property {number} Xbox Authenticates users by their Xbox Account. Set XSTS token as POST data with {@link Photon.LoadBalancing.AuthenticationValues#setAuthPostData}.
+            @property {number} Viveport Authenticates users by their HTC Viveport Account. Set user token as "userToken" parameter.
+            @property {number} NintendoSwitch Authenticates users by their Nintendo Account. Set ID token as "token" parameter.
+            @property {number} PlayStation5 Authenticates users by their PSN Account and token on PS5.
+            @property {number} Epic Authenticates users by their Epic Online Services (EOS) Account. Set ID token as "token" parameter.
+            @property {number} FacebookGaming Authenticates users by their Facebook Gaming Account. Set auth token as "token" parameter.
             @property {number} None Disables custom authentification.
             */
             Constants.CustomAuthenticationType = {
-                Custom: /// <summary>Use a custom authentification service. Currently the only implemented option.</summary>
+                Custom: /// <summary>Use a custom authentification service. Also used for JSON Web Tokens, see setJwtAuthentication: Photon has no JWT provider type.</summary>
                 0,
+                Steam: /// <summary>Authenticates users by their Steam Account. Set auth values accordingly.</summary>
+                1,
+                Facebook: /// <summary>Authenticates users by their Facebook Account. Set auth values accordingly.</summary>
+                2,
+                Oculus: /// <summary>Authenticates users by their Oculus Account and token.</summary>
+                3,
+                PlayStation4: /// <summary>Authenticates users by their PSN Account and token on PS4.</summary>
+                4,
+                Xbox: /// <summary>Authenticates users by their Xbox Account and XSTS token.</summary>
+                5,
+                Viveport: /// <summary>Authenticates users by their HTC Viveport Account and user token.</summary>
+                10,
+                NintendoSwitch: /// <summary>Authenticates users by their NSA ID.</summary>
+                11,
+                PlayStation5: /// <summary>Authenticates users by their PSN Account and token on PS5.</summary>
+                12,
+                Epic: /// <summary>Authenticates users by their Epic Online Services (EOS) Account.</summary>
+                13,
+                FacebookGaming: /// <summary>Authenticates users by their Facebook Gaming Account.</summary>
+                15,
                 None: /// <summary>Disables custom authentification. Same as not providing any AuthenticationValues for connect (more precisely for: OpAuthenticate).</summary>
                 255
             };
@@ -1695,6 +4854,9 @@ var Photon;
             @property {number} [options.interestGroup] The ID of the interest group this event goes to (exclusively).
             @property {Photon.LoadBalancing.Constants.EventCaching} [options.cache=EventCaching.DoNotCache] Events can be cached (merged and removed) for players joining later on.
             @property {Photon.LoadBalancing.Constants.ReceiverGroup} [options.receivers=ReceiverGroup.Others] Defines to which group of players the event is passed on.
+            @property {bool} [options.sendReliable] Unreliable events are sequenced latest-wins per event code: use for frequent updates like positions. Omitted on channel 0 sends event unsequenced.
+            @property {number} [options.channelId=0] Channel the event is sent in. Events are ordered within channel only, so updates on one channel don't delay events on another.
+            @property {bool} [options.expectResponse=false] Track operation until server responds. Server responds to RaiseEvent only if it fails, so leave it off unless server side plugin answers.
             */
             function (eventCode, data, options) {
                 if(this.loadBalancingClient) {
@@ -2017,6 +5179,114 @@ var Photon;
             return Room;
         })(RoomInfo);
         LoadBalancing.Room = Room;        
+        var AuthenticationValues = (function () {
+            /**
+            @classdesc Container for user authentication in Photon: authentication type, parameters and POST data passed to authentication service and user ID. Set it with {@link Photon.LoadBalancing.LoadBalancingClient#setAuthenticationValues} before connect.
+            @constructor Photon.LoadBalancing.AuthenticationValues
+            @param {Photon.LoadBalancing.Constants.CustomAuthenticationType} [authType=Photon.LoadBalancing.Constants.CustomAuthenticationType.Custom] The type of authentication provider that should be used.
+            */
+            function AuthenticationValues(authType) {
+                if (typeof authType === "undefined") { authType = LoadBalancing.Constants.CustomAuthenticationType.Custom; }
+                this.authType = authType;
+                /**
+                @summary Query string parameters (http get) passed to authentication service. Use {@link Photon.LoadBalancing.AuthenticationValues#addAuthParameter} to build it.
+                @member Photon.LoadBalancing.AuthenticationValues#authGetParameters
+                @type {string}
+                */
+                this.authGetParameters = "";
+                /**
+                @summary Data sent as POST body to authentication service: string, object (sent as JSON) or byte array. Not sent if undefined.
+                @member Photon.LoadBalancing.AuthenticationValues#authPostData
+                @type {string|object|number[]}
+                */
+                this.authPostData = undefined;
+                /**
+                @summary User ID sent with Authenticate operation. Not sent if undefined.
+                @member Photon.LoadBalancing.AuthenticationValues#userId
+                @type {string}
+                */
+                this.userId = undefined;
+            }
+            AuthenticationValues.prototype.addAuthParameter = /**
+            @summary Adds key-value pair to query string parameters passed to authentication service. Key and value are URL encoded.
+            @method Photon.LoadBalancing.AuthenticationValues#addAuthParameter
+            @param {string} key Parameter name.
+            @param {string} value Parameter value.
+            @returns {Photon.LoadBalancing.AuthenticationValues} This object.
+            */
+            function (key, value) {
+                var pair = encodeURIComponent(key) + "=" + encodeURIComponent(value);
+                this.authGetParameters = this.authGetParameters ? this.authGetParameters + "&" + pair : pair;
+                return this;
+            };
+            AuthenticationValues.prototype.setAuthPostData = /**
+            @summary Sets data sent as POST body to authentication service.
+            @method Photon.LoadBalancing.AuthenticationValues#setAuthPostData
+            @param {string|object|number[]|Uint8Array} data String, object sent as JSON or bytes.
+            @returns {Photon.LoadBalancing.AuthenticationValues} This object.
+            */
+            function (data) {
+                if(Object.prototype.toString.call(data) === "[object Uint8Array]") {
+                    // operation parameters are sent as JSON
+                    this.authPostData = Array.prototype.slice.call(data);
+                } else {
+                    this.authPostData = data;
+                }
+                return this;
+            };
+            AuthenticationValues.prototype.setUserId = /**
+            @summary Sets user ID sent with Authenticate operation.
+            @method Photon.LoadBalancing.AuthenticationValues#setUserId
+            @param {string} userId User ID.
+            @returns {Photon.LoadBalancing.AuthenticationValues} This object.
+            */
+            function (userId) {
+                this.userId = userId;
+                return this;
+            };
+            AuthenticationValues.prototype._fillAuthenticateParameters = // appends parameters to master server Authenticate operation
+            function (op) {
+                if(this.authType != LoadBalancing.Constants.CustomAuthenticationType.None) {
+                    op.push(LoadBalancing.Constants.ParameterCode.ClientAuthenticationType);
+                    op.push(this.authType);
+                    if(this.authGetParameters) {
+                        op.push(LoadBalancing.Constants.ParameterCode.ClientAuthenticationParams);
+                        op.push(this.authGetParameters);
+                    }
+                    if(this.authPostData !== undefined && this.authPostData !== null) {
+                        op.push(LoadBalancing.Constants.ParameterCode.ClientAuthenticationData);
+                        op.push(this.authPostData);
+                    }
+                }
+                if(this.userId !== undefined && this.userId !== null) {
+                    op.push(LoadBalancing.Constants.ParameterCode.UserId);
+                    op.push(this.userId);
+                }
+            };
+            return AuthenticationValues;
+        })();
+        LoadBalancing.AuthenticationValues = AuthenticationValues;        
+        var ClientError = (function (_super) {
+            __extends(ClientError, _super);
+            /**
+            @classdesc Rejection reason of promises returned by {@link Photon.LoadBalancing.LoadBalancingClient} methods if peer fails.
+            @extends Error
+            @constructor Photon.LoadBalancing.ClientError
+            @param {Photon.LoadBalancing.LoadBalancingClient.PeerErrorCode} errorCode Client error code.
+            @param {string} errorMsg Error message.
+            @param {Photon.PhotonPeer.DisconnectCause} [disconnectCause] Cause of connection loss if error is caused by it.
+            */
+            function ClientError(errorCode, errorMsg, disconnectCause) {
+                        _super.call(this);
+                this.name = "ClientError";
+                this.message = errorMsg;
+                this.stack = new Error(this.message).stack;
+                this.errorCode = errorCode;
+                this.disconnectCause = disconnectCause;
+            }
+            return ClientError;
+        })(Error);
+        LoadBalancing.ClientError = ClientError;        
         var LoadBalancingClient = (function () {
             /**
             @classdesc Implements the Photon LoadBalancing workflow. This class should be extended to handle system or custom events and operation responses.
@@ -2024,21 +5294,63 @@ var Photon;
             @param {string} masterServerAddress Master server address:port.
             @param {string} appId Cloud application ID.
             @param {string} appVersion Cloud application version.
+            @param {Photon.ConnectionProtocol} [protocol=Photon.ConnectionProtocol.Ws] Connection protocol used for master and game servers.
             */
-            function LoadBalancingClient(masterServerAddress, appId, appVersion) {
+            function LoadBalancingClient(masterServerAddress, appId, appVersion, protocol) {
+                if (typeof protocol === "undefined") { protocol = Photon.ConnectionProtocol.Ws; }
                 this.masterServerAddress = masterServerAddress;
                 this.appId = appId;
                 this.appVersion = appVersion;
+                this.connectionProtocol = protocol;
                 this.keepMasterConnection = false;
                 this.reconnectPending = false;
+                /**
+                @summary Client switches to error state if master or game server doesn't respond to operations of connection workflow (authentication, lobby and room joining) within this timeout.
+                Set it to 0 to disable.
+                @member Photon.LoadBalancing.LoadBalancingClient#operationTimeoutMs
+                @type {number}
+                @default 10000
+                */
+                this.operationTimeoutMs = 10000;
+                /**
+                @summary Master and game peers time out if no data received from server within this timeout: client switches to error state with MasterTimeout or GameTimeout error.
+                Set it to 0 to rely on transport close detection only. See {@link Photon.PhotonPeer#disconnectTimeoutMs}.
+                @member Photon.LoadBalancing.LoadBalancingClient#disconnectTimeoutMs
+                @type {number}
+                @default 0
+                */
+                this.disconnectTimeoutMs = 0;
+                this.pingIntervalMs = 0;
+                this._trafficStats = new Photon.TrafficStats();
+                this._batchingOptions = {
+                    enabled: false,
+                    flushIntervalMs: 0
+                };
+                this._recorder = null;
+                this._rateLimits = {
+                };
+                this._compressionOptions = {
+                    enabled: false,
+                    thresholdBytes: 1024
+                };
+                this._sendQueueOptions = {
+                    enabled: false,
+                    maxLength: 100,
+                    dropPolicy: Photon.PhotonPeer.SendQueueDropPolicy.DropOldest
+                };
                 this.roomInfos = new Array();
                 this.actors = {
                 };
-                this.userAuthType = LoadBalancing.Constants.CustomAuthenticationType.None;
-                this.userAuthParameters = "";
                 this.userAuthSecret = "";
+                /**
+                @summary User authentication sent with master server Authenticate operation. Read when connecting: changes made to the object after {@link Photon.LoadBalancing.LoadBalancingClient#setAuthenticationValues} apply.
+                @member Photon.LoadBalancing.LoadBalancingClient#authValues
+                @type {Photon.LoadBalancing.AuthenticationValues}
+                */
+                this.authValues = new AuthenticationValues(LoadBalancing.Constants.CustomAuthenticationType.None);
                 this.state = LoadBalancingClient.State.Uninitialized;
-                this.logger = new Exitgames.Common.Logger("LoadBalancingClient");
+                this._connectDeferred = null;
+                this.logger = new Exitgames.Common.Logger("LoadBalancingClient", undefined, "LoadBalancingClient");
                 this.validNextState = {
                 };
                 this.initValidNextState();
@@ -2059,8 +5371,9 @@ var Photon;
             @method Photon.LoadBalancing.LoadBalancingClient#onError
             @param {Photon.LoadBalancing.LoadBalancingClient.PeerErrorCode} errorCode Client error code.
             @param {string} errorMsg Error message.
+            @param {Photon.PhotonPeer.DisconnectCause} [disconnectCause] Cause of connection loss if error is caused by it.
             */
-            function (errorCode, errorMsg) {
+            function (errorCode, errorMsg, disconnectCause) {
                 this.logger.error("Load Balancing Client Error", errorCode, errorMsg);
             };
             LoadBalancingClient.prototype.onOperationResponse = /**
@@ -2151,6 +5464,15 @@ var Photon;
             function (name, actorNr, isLocal) {
                 return new Actor(name, actorNr, isLocal);
             };
+            LoadBalancingClient.prototype.transportFactory = /**
+            @summary Override to connect master and game peers over custom transport: { return new Photon.LoopbackTransport(); }
+            Called once per peer created.
+            @method Photon.LoadBalancing.LoadBalancingClient#transportFactory
+            @returns {Photon.Transport} New transport instance.
+            */
+            function () {
+                return Photon.PhotonPeer.createDefaultTransport();
+            };
             LoadBalancingClient.prototype.myActor = //------------------------
             /**
             @summary Returns local actor.
@@ -2200,13 +5522,184 @@ var Photon;
             */
             function (authParameters, authType) {
                 if (typeof authType === "undefined") { authType = Photon.LoadBalancing.Constants.CustomAuthenticationType.Custom; }
-                this.userAuthType = authType;
-                this.userAuthParameters = authParameters;
+                var authValues = new AuthenticationValues(authType);
+                authValues.authGetParameters = authParameters;
+                this.setAuthenticationValues(authValues);
+            };
+            LoadBalancingClient.prototype.setAuthenticationValues = /**
+            @summary Sets user authentication used by master server Authenticate operation. Replaces values set by {@link Photon.LoadBalancing.LoadBalancingClient#setCustomAuthentication} or provider helpers.
+            @method Photon.LoadBalancing.LoadBalancingClient#setAuthenticationValues
+            @param {Photon.LoadBalancing.AuthenticationValues} authValues Authentication values.
+            */
+            function (authValues) {
+                this.authValues = authValues;
+            };
+            Object.defineProperty(LoadBalancingClient.prototype, "userAuthType", {
+                get: /**
+                @summary Authentication type of {@link Photon.LoadBalancing.LoadBalancingClient#authValues}.
+                @member Photon.LoadBalancing.LoadBalancingClient#userAuthType
+                @type {Photon.LoadBalancing.Constants.CustomAuthenticationType}
+                */
+                function () {
+                    return this.authValues.authType;
+                },
+                set: function (value) {
+                    this.authValues.authType = value;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            Object.defineProperty(LoadBalancingClient.prototype, "userAuthParameters", {
+                get: /**
+                @summary Query string parameters of {@link Photon.LoadBalancing.LoadBalancingClient#authValues}.
+                @member Photon.LoadBalancing.LoadBalancingClient#userAuthParameters
+                @type {string}
+                */
+                function () {
+                    return this.authValues.authGetParameters;
+                },
+                set: function (value) {
+                    this.authValues.authGetParameters = value;
+                },
+                enumerable: true,
+                configurable: true
+            });
+            LoadBalancingClient.prototype.setProviderAuthentication = /**
+            @summary Enables authentication with given provider and builds its parameters string. Keys and values are URL encoded.
+            @method Photon.LoadBalancing.LoadBalancingClient#setProviderAuthentication
+            @param {Photon.LoadBalancing.Constants.CustomAuthenticationType} authType The type of authentication provider.
+            @param {object} parameters Parameters expected by provider as key-value pairs. Undefined and null values are skipped.
+            */
+            function (authType, parameters) {
+                var authValues = new AuthenticationValues(authType);
+                for(var key in parameters) {
+                    if(parameters[key] !== undefined && parameters[key] !== null) {
+                        authValues.addAuthParameter(key, parameters[key]);
+                    }
+                }
+                this.setAuthenticationValues(authValues);
+            };
+            LoadBalancingClient.prototype.setFacebookAuthentication = /**
+            @summary Enables Facebook authentication.
+            @method Photon.LoadBalancing.LoadBalancingClient#setFacebookAuthentication
+            @param {string} accessToken Facebook user access token.
+            */
+            function (accessToken) {
+                this.setProviderAuthentication(LoadBalancing.Constants.CustomAuthenticationType.Facebook, {
+                    token: accessToken
+                });
+            };
+            LoadBalancingClient.prototype.setFacebookGamingAuthentication = /**
+            @summary Enables Facebook Gaming authentication.
+            @method Photon.LoadBalancing.LoadBalancingClient#setFacebookGamingAuthentication
+            @param {string} accessToken Facebook Gaming user access token.
+            */
+            function (accessToken) {
+                this.setProviderAuthentication(LoadBalancing.Constants.CustomAuthenticationType.FacebookGaming, {
+                    token: accessToken
+                });
+            };
+            LoadBalancingClient.prototype.setSteamAuthentication = /**
+            @summary Enables Steam authentication.
+            @method Photon.LoadBalancing.LoadBalancingClient#setSteamAuthentication
+            @param {string} ticket Hex encoded Steam session ticket.
+            */
+            function (ticket) {
+                this.setProviderAuthentication(LoadBalancing.Constants.CustomAuthenticationType.Steam, {
+                    ticket: ticket
+                });
+            };
+            LoadBalancingClient.prototype.setOculusAuthentication = /**
+            @summary Enables Oculus authentication.
+            @method Photon.LoadBalancing.LoadBalancingClient#setOculusAuthentication
+            @param {string} userId Oculus user ID.
+            @param {string} nonce Nonce generated by Oculus platform for user.
+            */
+            function (userId, nonce) {
+                this.setProviderAuthentication(LoadBalancing.Constants.CustomAuthenticationType.Oculus, {
+                    userid: userId,
+                    nonce: nonce
+                });
+            };
+            LoadBalancingClient.prototype.setViveportAuthentication = /**
+            @summary Enables HTC Viveport authentication.
+            @method Photon.LoadBalancing.LoadBalancingClient#setViveportAuthentication
+            @param {string} userToken Viveport user session token.
+            */
+            function (userToken) {
+                this.setProviderAuthentication(LoadBalancing.Constants.CustomAuthenticationType.Viveport, {
+                    userToken: userToken
+                });
+            };
+            LoadBalancingClient.prototype.setNintendoSwitchAuthentication = /**
+            @summary Enables Nintendo Switch authentication.
+            @method Photon.LoadBalancing.LoadBalancingClient#setNintendoSwitchAuthentication
+            @param {string} idToken Nintendo Service Account ID token.
+            */
+            function (idToken) {
+                this.setProviderAuthentication(LoadBalancing.Constants.CustomAuthenticationType.NintendoSwitch, {
+                    token: idToken
+                });
+            };
+            LoadBalancingClient.prototype.setEpicAuthentication = /**
+            @summary Enables Epic Online Services authentication.
+            @method Photon.LoadBalancing.LoadBalancingClient#setEpicAuthentication
+            @param {string} idToken EOS Connect ID token.
+            @param {string} [ownershipToken] EOS ownership verification token.
+            */
+            function (idToken, ownershipToken) {
+                this.setProviderAuthentication(LoadBalancing.Constants.CustomAuthenticationType.Epic, {
+                    token: idToken,
+                    ownershipToken: ownershipToken
+                });
+            };
+            LoadBalancingClient.prototype.setPlayStation4Authentication = /**
+            @summary Enables PlayStation Network authentication on PS4.
+            @method Photon.LoadBalancing.LoadBalancingClient#setPlayStation4Authentication
+            @param {string} authCode PSN authorization code.
+            @param {number} [env] PSN server environment the code was issued by. Production environment if not specified.
+            */
+            function (authCode, env) {
+                this.setProviderAuthentication(LoadBalancing.Constants.CustomAuthenticationType.PlayStation4, {
+                    token: authCode,
+                    env: env
+                });
+            };
+            LoadBalancingClient.prototype.setPlayStation5Authentication = /**
+            @summary Enables PlayStation Network authentication on PS5.
+            @method Photon.LoadBalancing.LoadBalancingClient#setPlayStation5Authentication
+            @param {string} authCode PSN authorization code.
+            @param {number} [env] PSN server environment the code was issued by. Production environment if not specified.
+            */
+            function (authCode, env) {
+                this.setProviderAuthentication(LoadBalancing.Constants.CustomAuthenticationType.PlayStation5, {
+                    token: authCode,
+                    env: env
+                });
+            };
+            LoadBalancingClient.prototype.setXboxAuthentication = /**
+            @summary Enables Xbox Live authentication. XSTS token is sent as POST data, it's too long for query string parameters.
+            @method Photon.LoadBalancing.LoadBalancingClient#setXboxAuthentication
+            @param {string} xstsToken XSTS token issued for Photon relying party.
+            */
+            function (xstsToken) {
+                this.setAuthenticationValues(new AuthenticationValues(LoadBalancing.Constants.CustomAuthenticationType.Xbox).setAuthPostData(xstsToken));
+            };
+            LoadBalancingClient.prototype.setJwtAuthentication = /**
+            @summary Enables custom authentication with JSON Web Token. Photon has no JWT provider type: token issued by your identity service is passed to your custom authentication service, which validates it.
+            @method Photon.LoadBalancing.LoadBalancingClient#setJwtAuthentication
+            @param {string} token JSON Web Token.
+            @param {string} [parameterName="token"] Name of query string parameter custom authentication service reads token from.
+            */
+            function (token, parameterName) {
+                if (typeof parameterName === "undefined") { parameterName = "token"; }
+                this.setAuthenticationValues(new AuthenticationValues(LoadBalancing.Constants.CustomAuthenticationType.Custom).addAuthParameter(parameterName, token));
             };
             LoadBalancingClient.prototype.connect = /**
             @summary Starts connection to master server.
             @method Photon.LoadBalancing.LoadBalancingClient#connect
             @param {bool} [keepMasterConnection=false] Don't disconnect from master server after joining room.
+            @returns {Promise|bool} Resolved with master server Authenticate response or rejected with {@link Photon.OperationError} if authentication fails or {@link Photon.LoadBalancing.ClientError} if connection fails. True if Promise is not supported by environment. False if client can't connect in current state.
             */
             function (keepMasterConnection) {
                 if (typeof keepMasterConnection === "undefined") { keepMasterConnection = false; }
@@ -2215,18 +5708,50 @@ var Photon;
                     this.changeState(LoadBalancingClient.State.ConnectingToMasterserver);
                     this.logger.info("Connecting to Master", this.masterServerAddress);
                     this.keepMasterConnection = keepMasterConnection;
-                    this.masterPeer = new MasterPeer(this, "ws://" + this.masterServerAddress, "");
+                    this._connectDeferred = Exitgames.Common.Util.createDeferred();
+                    var promise = this._connectDeferred.promise;
+                    this._retireTrafficStats(this.masterPeer);
+                    this.masterPeer = new MasterPeer(this, this.addressToUrl(this.masterServerAddress), "", this.transportFactory());
                     this.initMasterPeer(this.masterPeer);
                     this.masterPeer.connect();
-                    return true;
+                    return promise !== undefined ? promise : true;
                 } else {
                     return false;
                 }
             };
+            LoadBalancingClient.prototype.addressToUrl = /**
+            @summary Builds WebSocket url for server address according to client connection protocol.
+            Address may already contain "ws://" or "wss://" scheme. For secure protocol, plain scheme is upgraded and well known ports are remapped with {@link Photon.LoadBalancing.LoadBalancingClient.SecurePorts}.
+            @method Photon.LoadBalancing.LoadBalancingClient#addressToUrl
+            @param {string} address Server address:port as configured or returned by master server.
+            @returns {string} Server url.
+            */
+            function (address) {
+                var scheme = "";
+                var m = /^(wss?):\/\//i.exec(address);
+                if(m) {
+                    scheme = m[1].toLowerCase();
+                    address = address.substr(m[0].length);
+                }
+                if(scheme == "wss") {
+                    return "wss://" + address;
+                } else {
+                    if(this.connectionProtocol == Photon.ConnectionProtocol.Wss) {
+                        var hostPort = /^(.*):(\d+)$/.exec(address);
+                        if(hostPort && LoadBalancingClient.SecurePorts.hasOwnProperty(hostPort[2])) {
+                            address = hostPort[1] + ":" + LoadBalancingClient.SecurePorts[hostPort[2]];
+                        }
+                        return "wss://" + address;
+                    } else {
+                        return "ws://" + address;
+                    }
+                }
+            };
             LoadBalancingClient.prototype.createRoomFromMy = /**
             @summary Creates a new room on the server (or fails when the name is already taken). Takes parameters (except name) for new room from myRoom() object. Set them before call.
             @method Photon.LoadBalancing.LoadBalancingClient#createRoomFromMy
             @param {string} [roomName] New room name. Assigned automatically by server if empty or not specified.
+            @returns {Promise} Resolved with master server CreateGame response or rejected with {@link Photon.OperationError}. Undefined if Promise is not supported by environment.
             */
             function (roomName) {
                 this.currentRoom.name = roomName ? roomName : "";
@@ -2241,6 +5766,7 @@ var Photon;
             @param {number} [maxPlayers=0] Max players before room is considered full (but still listed).
             @param {object} [customGameProperties] Custom properties to apply to the room on creation (use string-typed keys but short ones).
             @param {string} [propsListedInLobby] Defines the custom room properties that get listed in the lobby.
+            @returns {Promise} Resolved with master server CreateGame response or rejected with {@link Photon.OperationError}. Undefined if Promise is not supported by environment.
             */
             function (roomName, isVisible, isOpen, maxPlayers, customGameProperties, propsListedInLobby) {
                 if (typeof isVisible === "undefined") { isVisible = true; }
@@ -2262,14 +5788,15 @@ var Photon;
             @summary Joins a room by name and sets this player's properties.
             @method Photon.LoadBalancing.LoadBalancingClient#joinRoom
             @param {string} roomName The name of the room to join. Must be existing already, open and non-full or can't be joined.
+            @returns {Promise|bool} Resolved with master server JoinGame response or rejected with {@link Photon.OperationError}. True if Promise is not supported by environment.
             */
             function (roomName) {
                 var op = [];
                 this.currentRoom = this.roomFactoryInternal(roomName);
                 op.push(LoadBalancing.Constants.ParameterCode.RoomName);
                 op.push(roomName);
-                this.masterPeer.sendOperation(LoadBalancing.Constants.OperationCode.JoinGame, op);
-                return true;
+                var promise = this.masterPeer.sendOperation(LoadBalancing.Constants.OperationCode.JoinGame, op);
+                return promise !== undefined ? promise : true;
             };
             LoadBalancingClient.prototype.joinRandomRoom = /**
             @summary Joins a random, available room.
@@ -2278,6 +5805,7 @@ var Photon;
             @param {object} [expectedCustomRoomProperties] If specified, a room will only be joined, if it matches these custom properties. Use null to accept rooms with any properties.
             @param {number} [expectedMaxPlayers] If specified, filters for a particular maxPlayer setting. Use 0 to accept any maxPlayer value.
             @param {Photon.LoadBalancing.Constants.MatchmakingMode} [matchmakingMode=MatchmakingMode.FillRoom] Selects one of the available matchmaking algorithms.
+            @returns {Promise|bool} Resolved with master server JoinRandomGame response or rejected with {@link Photon.OperationError}. True if Promise is not supported by environment.
             */
             function (expectedCustomRoomProperties, expectedMaxPlayers, matchingType) {
                 if (typeof expectedMaxPlayers === "undefined") { expectedMaxPlayers = 0; }
@@ -2304,8 +5832,8 @@ var Photon;
                     op.push(LoadBalancing.Constants.ParameterCode.GameProperties);
                     op.push(expectedRoomProperties);
                 }
-                this.masterPeer.sendOperation(LoadBalancing.Constants.OperationCode.JoinRandomGame, op);
-                return true;
+                var promise = this.masterPeer.sendOperation(LoadBalancing.Constants.OperationCode.JoinRandomGame, op);
+                return promise !== undefined ? promise : true;
             };
             LoadBalancingClient.prototype._setPropertiesOfRoom = function (properties) {
                 var op = [];
@@ -2354,7 +5882,7 @@ var Photon;
                 }
             };
             LoadBalancingClient.prototype.raiseEvent = /**
-            @summary Raises game custom event
+            @summary Raises game custom event. Ignored if not joined to room, except while connecting to game server with send queue enabled (see {@link Photon.LoadBalancing.LoadBalancingClient#setSendQueue}): then event is sent after joining.
             @method Photon.LoadBalancing.LoadBalancingClient#raiseEvent
             @param {number} eventCode Identifies this type of event (and the content). Your game's event codes can start with 0.
             @param {object} [data] Custom data you want to send along (use null, if none).
@@ -2363,9 +5891,12 @@ var Photon;
             @property {number} [options.interestGroup] The ID of the interest group this event goes to (exclusively).
             @property {Photon.LoadBalancing.Constants.EventCaching} [options.cache=EventCaching.DoNotCache] Events can be cached (merged and removed) for players joining later on.
             @property {Photon.LoadBalancing.Constants.ReceiverGroup} [options.receivers=ReceiverGroup.Others] Defines to which group of players the event is passed on.
+            @property {bool} [options.sendReliable] Unreliable events are sequenced latest-wins per event code: use for frequent updates like positions. Omitted on channel 0 sends event unsequenced.
+            @property {number} [options.channelId=0] Channel the event is sent in. Events are ordered within channel only, so updates on one channel don't delay events on another.
+            @property {bool} [options.expectResponse=false] Track operation until server responds. Server responds to RaiseEvent only if it fails, so leave it off unless server side plugin answers.
             */
             function (eventCode, data, options) {
-                if(this.isJoinedToRoom()) {
+                if(this._acceptsRoomOperations()) {
                     this.gamePeer.raiseEvent(eventCode, data, options);
                 }
             };
@@ -2406,6 +5937,10 @@ var Photon;
             function () {
                 return this.state == LoadBalancingClient.State.Joined;
             };
+            LoadBalancingClient.prototype._acceptsRoomOperations = // during master -> game hop operations wait in game peer send queue if it's enabled
+            function () {
+                return this.isJoinedToRoom() || !!this.gamePeer && this.gamePeer.sendQueueEnabled && (this.state == LoadBalancingClient.State.ConnectingToGameserver || this.state == LoadBalancingClient.State.ConnectedToGameserver);
+            };
             LoadBalancingClient.prototype.isConnectedToGame = /**
             @deprecated Use isJoinedToRoom()
             */
@@ -2434,6 +5969,211 @@ var Photon;
                     this.gamePeer.setLogLevel(level);
                 }
             };
+            LoadBalancingClient.prototype.setSendQueue = /**
+            @summary Enables or disables queueing of operations sent while master or game peer is connecting or authenticating, or game peer is joining room.
+            Queued operations are sent in order after authentication (on master server) or joining room (on game server) succeeded.
+            @method Photon.LoadBalancing.LoadBalancingClient#setSendQueue
+            @param {bool} enabled Enables queue.
+            @param {number} [maxLength=100] Max number of queued operations.
+            @param {Photon.PhotonPeer.SendQueueDropPolicy} [dropPolicy=Photon.PhotonPeer.SendQueueDropPolicy.DropOldest] Defines which operation is dropped when queue is full.
+            */
+            function (enabled, maxLength, dropPolicy) {
+                if (typeof maxLength === "undefined") { maxLength = 100; }
+                if (typeof dropPolicy === "undefined") { dropPolicy = Photon.PhotonPeer.SendQueueDropPolicy.DropOldest; }
+                this._sendQueueOptions = {
+                    enabled: enabled,
+                    maxLength: maxLength,
+                    dropPolicy: dropPolicy
+                };
+                if(this.masterPeer) {
+                    this._applySendQueueOptions(this.masterPeer);
+                }
+                if(this.gamePeer) {
+                    this._applySendQueueOptions(this.gamePeer);
+                }
+            };
+            LoadBalancingClient.prototype.setBatching = /**
+            @summary Enables or disables batching of outgoing messages on master and game peers. See {@link Photon.PhotonPeer#setBatching}.
+            @method Photon.LoadBalancing.LoadBalancingClient#setBatching
+            @param {bool} enabled Enables batching.
+            @param {number} [flushIntervalMs=0] Max time in milliseconds message waits in batch. 0 sends batch on next tick.
+            */
+            function (enabled, flushIntervalMs) {
+                if (typeof flushIntervalMs === "undefined") { flushIntervalMs = 0; }
+                this._batchingOptions = {
+                    enabled: enabled,
+                    flushIntervalMs: flushIntervalMs
+                };
+                if(this.masterPeer) {
+                    this.masterPeer.setBatching(enabled, flushIntervalMs);
+                }
+                if(this.gamePeer) {
+                    this.gamePeer.setBatching(enabled, flushIntervalMs);
+                }
+            };
+            LoadBalancingClient.prototype.flush = /**
+            @summary Sends messages batched by master and game peers immediately.
+            @method Photon.LoadBalancing.LoadBalancingClient#flush
+            */
+            function () {
+                if(this.masterPeer) {
+                    this.masterPeer.flush();
+                }
+                if(this.gamePeer) {
+                    this.gamePeer.flush();
+                }
+            };
+            LoadBalancingClient.prototype.setRateLimit = /**
+            @summary Limits rate of operations with given code on master and game peers. See {@link Photon.PhotonPeer#setRateLimit}.
+            Use Coalesce policy with SetProperties operation to merge properties changed too often.
+            @method Photon.LoadBalancing.LoadBalancingClient#setRateLimit
+            @param {number} operationCode Operation code.
+            @param {number} ratePerSecond Sustained rate. 0 removes limit.
+            @param {number} [burst=ratePerSecond] Max number of operations sent at once.
+            @param {Photon.PhotonPeer.ThrottlePolicy} [policy=Photon.PhotonPeer.ThrottlePolicy.Queue] Handling of operations exceeding the limit.
+            */
+            function (operationCode, ratePerSecond, burst, policy) {
+                if (typeof burst === "undefined") { burst = ratePerSecond; }
+                if (typeof policy === "undefined") { policy = Photon.PhotonPeer.ThrottlePolicy.Queue; }
+                if(ratePerSecond > 0) {
+                    this._rateLimits[operationCode] = {
+                        rate: ratePerSecond,
+                        burst: burst,
+                        policy: policy
+                    };
+                } else {
+                    delete this._rateLimits[operationCode];
+                }
+                if(this.masterPeer) {
+                    this.masterPeer.setRateLimit(operationCode, ratePerSecond, burst, policy);
+                }
+                if(this.gamePeer) {
+                    this.gamePeer.setRateLimit(operationCode, ratePerSecond, burst, policy);
+                }
+            };
+            LoadBalancingClient.prototype.onThrottle = /**
+            @summary Called when operations with given code start exceeding rate limit set with {@link Photon.LoadBalancing.LoadBalancingClient#setRateLimit}. Override to detect operations sent too often.
+            @method Photon.LoadBalancing.LoadBalancingClient#onThrottle
+            @param {number} operationCode Code of throttled operation.
+            @param {Photon.PhotonPeer.ThrottlePolicy} policy Policy applied to operation.
+            */
+            function (operationCode, policy) {
+                this.logger.warn("Operation", operationCode, "exceeds rate limit, policy:", policy);
+            };
+            LoadBalancingClient.prototype._applyRateLimits = function (peer) {
+                for(var code in this._rateLimits) {
+                    var limit = this._rateLimits[code];
+                    peer.setRateLimit(parseInt(code), limit.rate, limit.burst, limit.policy);
+                }
+            };
+            LoadBalancingClient.prototype.setCompression = /**
+            @summary Enables or disables compression of event data larger than threshold sent with {@link Photon.LoadBalancing.LoadBalancingClient#raiseEvent}. See {@link Photon.PhotonPeer#setCompression}.
+            @method Photon.LoadBalancing.LoadBalancingClient#setCompression
+            @param {bool} enabled Enables compression.
+            @param {number} [thresholdBytes=1024] Event data with JSON representation not larger than this is sent as is.
+            */
+            function (enabled, thresholdBytes) {
+                if (typeof thresholdBytes === "undefined") { thresholdBytes = 1024; }
+                this._compressionOptions = {
+                    enabled: enabled,
+                    thresholdBytes: thresholdBytes
+                };
+                if(this.gamePeer) {
+                    this.gamePeer.setCompression(enabled, thresholdBytes);
+                }
+            };
+            LoadBalancingClient.prototype.setRecorder = /**
+            @summary Starts or stops recording of master and game peers traffic. Records are marked with "Master" or "Game" peer name.
+            @method Photon.LoadBalancing.LoadBalancingClient#setRecorder
+            @param {Photon.TrafficRecorder} recorder Recorder or null to stop recording.
+            */
+            function (recorder) {
+                this._recorder = recorder;
+                if(this.masterPeer) {
+                    this.masterPeer.setRecorder(recorder, "Master");
+                }
+                if(this.gamePeer) {
+                    this.gamePeer.setRecorder(recorder, "Game");
+                }
+            };
+            LoadBalancingClient.prototype._applySendQueueOptions = function (peer) {
+                peer.sendQueueEnabled = this._sendQueueOptions.enabled;
+                peer.sendQueueMaxLength = this._sendQueueOptions.maxLength;
+                peer.sendQueueDropPolicy = this._sendQueueOptions.dropPolicy;
+            };
+            LoadBalancingClient.prototype.getRoundTripTime = /**
+            @summary Returns round trip time of game server connection if joined to room or master server connection otherwise.
+            @method Photon.LoadBalancing.LoadBalancingClient#getRoundTripTime
+            @returns {number} Round trip time in milliseconds or 0 if not measured yet.
+            */
+            function () {
+                var peer = this._activePeer();
+                return peer ? peer.getRoundTripTime() : 0;
+            };
+            LoadBalancingClient.prototype.getRoundTripTimeVariance = /**
+            @summary Returns round trip time variance of game server connection if joined to room or master server connection otherwise.
+            @method Photon.LoadBalancing.LoadBalancingClient#getRoundTripTimeVariance
+            @returns {number} Round trip time variance in milliseconds or 0 if not measured yet.
+            */
+            function () {
+                var peer = this._activePeer();
+                return peer ? peer.getRoundTripTimeVariance() : 0;
+            };
+            LoadBalancingClient.prototype.setPingInterval = /**
+            @summary Sets interval of pings sent by master and game peers independently of traffic for round trip time measurement.
+            @method Photon.LoadBalancing.LoadBalancingClient#setPingInterval
+            @param {number} intervalMs Ping interval in milliseconds. 0 disables interval pings.
+            */
+            function (intervalMs) {
+                this.pingIntervalMs = intervalMs;
+                if(this.masterPeer) {
+                    this.masterPeer.setPingInterval(intervalMs);
+                }
+                if(this.gamePeer) {
+                    this.gamePeer.setPingInterval(intervalMs);
+                }
+            };
+            LoadBalancingClient.prototype.getTrafficStats = /**
+            @summary Returns snapshot of traffic counters summed over master and game peers, including peers replaced by reconnects and room changes.
+            @method Photon.LoadBalancing.LoadBalancingClient#getTrafficStats
+            @returns {Photon.TrafficStats} Copy of counters collected since client creation or last reset.
+            */
+            function () {
+                var stats = this._trafficStats.clone();
+                if(this.masterPeer) {
+                    stats.add(this.masterPeer.getTrafficStats());
+                }
+                if(this.gamePeer) {
+                    stats.add(this.gamePeer.getTrafficStats());
+                }
+                return stats;
+            };
+            LoadBalancingClient.prototype.resetTrafficStats = /**
+            @summary Zeroes traffic counters of client and its peers.
+            @method Photon.LoadBalancing.LoadBalancingClient#resetTrafficStats
+            */
+            function () {
+                this._trafficStats.reset();
+                if(this.masterPeer) {
+                    this.masterPeer.resetTrafficStats();
+                }
+                if(this.gamePeer) {
+                    this.gamePeer.resetTrafficStats();
+                }
+            };
+            LoadBalancingClient.prototype._retireTrafficStats = function (peer) {
+                // keep counters of peer being replaced
+                if(peer) {
+                    this._trafficStats.add(peer.getTrafficStats());
+                }
+            };
+            LoadBalancingClient.prototype._activePeer = function () {
+                if(this.gamePeer && this.gamePeer.isConnected()) {
+                    return this.gamePeer;
+                } else {
+                    return this.masterPeer;
+                }
+            };
             LoadBalancingClient.prototype.addActor = function (a) {
                 this.actors[a.actorNr] = a;
             };
@@ -2473,23 +6213,54 @@ var Photon;
                     op.push(LoadBalancing.Constants.ParameterCode.PlayerProperties);
                     op.push(this._myActor._getAllProperties());
                 }
-                peer.sendOperation(LoadBalancing.Constants.OperationCode.CreateGame, op);
+                return peer.sendOperation(LoadBalancing.Constants.OperationCode.CreateGame, op);
+            };
+            LoadBalancingClient.prototype._onPeerError = function (errorCode, errorMsg, info) {
+                var cause = info ? info.cause : undefined;
+                if(info && info.cause != Photon.PhotonPeer.DisconnectCause.ClientDisconnect) {
+                    errorMsg += " (" + info.cause + (info.code ? ", code " + info.code : "") + (info.reason ? ": " + info.reason : "") + ")";
+                }
+                this.changeState(LoadBalancingClient.State.Error);
+                this._settleConnect(new ClientError(errorCode, errorMsg, cause));
+                this.onError(errorCode, errorMsg, cause);
+            };
+            LoadBalancingClient.prototype._settleConnect = function (error, response) {
+                var deferred = this._connectDeferred;
+                this._connectDeferred = null;
+                if(deferred) {
+                    if(error) {
+                        deferred.reject(error);
+                    } else {
+                        deferred.resolve(response);
+                    }
+                }
             };
             LoadBalancingClient.prototype.initMasterPeer = function (mp) {
                 var _this = this;
                 mp.setLogLevel(this.logger.getLevel());
+                mp.setPingInterval(this.pingIntervalMs);
+                mp.disconnectTimeoutMs = this.disconnectTimeoutMs;
+                mp.setBatching(this._batchingOptions.enabled, this._batchingOptions.flushIntervalMs);
+                mp.setRecorder(this._recorder, "Master");
+                this._applyRateLimits(mp);
+                this._applySendQueueOptions(mp);
+                mp.setOperationTimeout(LoadBalancing.Constants.OperationCode.Authenticate, this.operationTimeoutMs);
+                mp.setOperationTimeout(LoadBalancing.Constants.OperationCode.JoinLobby, this.operationTimeoutMs);
+                mp.setOperationTimeout(LoadBalancing.Constants.OperationCode.CreateGame, this.operationTimeoutMs);
+                mp.setOperationTimeout(LoadBalancing.Constants.OperationCode.JoinGame, this.operationTimeoutMs);
+                mp.setOperationTimeout(LoadBalancing.Constants.OperationCode.JoinRandomGame, this.operationTimeoutMs);
                 // errors
-                mp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.error, function () {
-                    _this.changeState(LoadBalancingClient.State.Error);
-                    _this.onError(LoadBalancingClient.PeerErrorCode.MasterError, "Master peer error");
+                mp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.error, function (info) {
+                    _this._onPeerError(LoadBalancingClient.PeerErrorCode.MasterError, "Master peer error", info);
                 });
-                mp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.connectFailed, function () {
-                    _this.changeState(LoadBalancingClient.State.Error);
-                    _this.onError(LoadBalancingClient.PeerErrorCode.MasterConnectFailed, "Master peer connect failed: " + _this.masterServerAddress);
+                mp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.connectFailed, function (info) {
+                    _this._onPeerError(LoadBalancingClient.PeerErrorCode.MasterConnectFailed, "Master peer connect failed: " + _this.masterServerAddress, info);
                 });
-                mp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.timeout, function () {
-                    _this.changeState(LoadBalancingClient.State.Error);
-                    _this.onError(LoadBalancingClient.PeerErrorCode.MasterTimeout, "Master peer error timeout");
+                mp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.timeout, function (info) {
+                    _this._onPeerError(LoadBalancingClient.PeerErrorCode.MasterTimeout, "Master peer error timeout", info);
+                });
+                mp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.protocolError, function (error) {
+                    _this.onError(LoadBalancingClient.PeerErrorCode.MasterProtocolError, "Master peer " + error.message);
                 });
                 mp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.connecting, function () {
                 });
@@ -2502,22 +6273,23 @@ var Photon;
                     op.push(_this.appId);
                     op.push(LoadBalancing.Constants.ParameterCode.AppVersion);
                     op.push(_this.appVersion);
-                    if(_this.userAuthType != LoadBalancing.Constants.CustomAuthenticationType.None) {
-                        op.push(LoadBalancing.Constants.ParameterCode.ClientAuthenticationType);
-                        op.push(_this.userAuthType);
-                        op.push(LoadBalancing.Constants.ParameterCode.ClientAuthenticationParams);
-                        op.push(_this.userAuthParameters);
+                    _this.authValues._fillAuthenticateParameters(op);
+                    var authenticated = mp.sendOperation(LoadBalancing.Constants.OperationCode.Authenticate, op);
+                    if(authenticated) {
+                        authenticated.then(function (data) {
+                            _this._settleConnect(null, data);
+                        }, function (error) {
+                            _this._settleConnect(error);
+                        });
                     }
-                    mp.sendOperation(LoadBalancing.Constants.OperationCode.Authenticate, op);
                     mp._logger.info("Authenticate...");
                 });
                 mp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.disconnect, function () {
                     mp._logger.info("Disconnected");
                 });
-                mp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.connectClosed, function () {
+                mp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.connectClosed, function (info) {
                     mp._logger.info("Server closed connection");
-                    _this.changeState(LoadBalancingClient.State.Error);
-                    _this.onError(LoadBalancingClient.PeerErrorCode.MasterConnectClosed, "Master server closed connection");
+                    _this._onPeerError(LoadBalancingClient.PeerErrorCode.MasterConnectClosed, "Master server closed connection", info);
                 });
                 //events
                 mp.addEventListener(LoadBalancing.Constants.EventCode.GameList, function (data) {
@@ -2563,11 +6335,12 @@ var Photon;
                 });
                 // responses - check operation result: data.errCode
                 mp.addResponseListener(LoadBalancing.Constants.OperationCode.Authenticate, function (data) {
-                    mp._logger.debug("resp Authenticate", data);
+                    mp._logger.debug("resp Authenticate", mp._redact(data));
                     if(!data.errCode) {
                         mp._logger.info("Authenticated");
                         _this.userAuthSecret = data.vals[LoadBalancing.Constants.ParameterCode.Secret];
                         _this.changeState(LoadBalancingClient.State.ConnectedToMaster);
+                        mp._releaseSendQueue();
                         mp.sendOperation(LoadBalancing.Constants.OperationCode.JoinLobby);
                         mp._logger.info("Join Lobby...");
                     } else {
@@ -2617,7 +6390,8 @@ var Photon;
                 }
                 if(this.checkNextState(LoadBalancingClient.State.ConnectingToGameserver)) {
                     this.logger.info("Connecting to Game", this.currentRoom.address);
-                    this.gamePeer = new GamePeer(this, "ws://" + this.currentRoom.address, "");
+                    this._retireTrafficStats(this.gamePeer);
+                    this.gamePeer = new GamePeer(this, this.addressToUrl(this.currentRoom.address), "", this.transportFactory());
                     this.initGamePeer(this.gamePeer, createGame);
                     if(!this.keepMasterConnection) {
                         this.masterPeer.disconnect();
@@ -2632,18 +6406,28 @@ var Photon;
             LoadBalancingClient.prototype.initGamePeer = function (gp, createGame) {
                 var _this = this;
                 gp.setLogLevel(this.logger.getLevel());
+                gp.setPingInterval(this.pingIntervalMs);
+                gp.disconnectTimeoutMs = this.disconnectTimeoutMs;
+                gp.setBatching(this._batchingOptions.enabled, this._batchingOptions.flushIntervalMs);
+                gp.setRecorder(this._recorder, "Game");
+                this._applyRateLimits(gp);
+                gp.setCompression(this._compressionOptions.enabled, this._compressionOptions.thresholdBytes);
+                this._applySendQueueOptions(gp);
+                gp.setOperationTimeout(LoadBalancing.Constants.OperationCode.Authenticate, this.operationTimeoutMs);
+                gp.setOperationTimeout(LoadBalancing.Constants.OperationCode.CreateGame, this.operationTimeoutMs);
+                gp.setOperationTimeout(LoadBalancing.Constants.OperationCode.JoinGame, this.operationTimeoutMs);
                 // errors
-                gp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.error, function () {
-                    _this.changeState(LoadBalancingClient.State.Error);
-                    _this.onError(LoadBalancingClient.PeerErrorCode.GameError, "Game peer error");
+                gp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.error, function (info) {
+                    _this._onPeerError(LoadBalancingClient.PeerErrorCode.GameError, "Game peer error", info);
                 });
-                gp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.connectFailed, function () {
-                    _this.changeState(LoadBalancingClient.State.Error);
-                    _this.onError(LoadBalancingClient.PeerErrorCode.GameConnectFailed, "Game peer connect failed: " + _this.currentRoom.address);
+                gp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.connectFailed, function (info) {
+                    _this._onPeerError(LoadBalancingClient.PeerErrorCode.GameConnectFailed, "Game peer connect failed: " + _this.currentRoom.address, info);
                 });
-                gp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.timeout, function () {
-                    _this.changeState(LoadBalancingClient.State.Error);
-                    _this.onError(LoadBalancingClient.PeerErrorCode.GameTimeout, "Game peer timeout");
+                gp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.timeout, function (info) {
+                    _this._onPeerError(LoadBalancingClient.PeerErrorCode.GameTimeout, "Game peer timeout", info);
+                });
+                gp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.protocolError, function (error) {
+                    _this.onError(LoadBalancingClient.PeerErrorCode.GameProtocolError, "Game peer " + error.message);
                 });
                 // status
                 gp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.connect, function () {
@@ -2680,14 +6464,13 @@ var Photon;
                         }
                     }
                 });
-                gp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.connectClosed, function () {
+                gp.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.connectClosed, function (info) {
                     gp._logger.info("Server closed connection");
-                    _this.changeState(LoadBalancingClient.State.Error);
-                    _this.onError(LoadBalancingClient.PeerErrorCode.MasterConnectClosed, "Game server closed connection");
+                    _this._onPeerError(LoadBalancingClient.PeerErrorCode.GameConnectClosed, "Game server closed connection", info);
                 });
                 // responses
                 gp.addResponseListener(LoadBalancing.Constants.OperationCode.Authenticate, function (data) {
-                    gp._logger.debug("resp Authenticate", data);
+                    gp._logger.debug("resp Authenticate", gp._redact(data));
                     if(!data.errCode) {
                         gp._logger.info("Authenticated");
                         gp._logger.info("Connected");
@@ -2718,6 +6501,7 @@ var Photon;
                         };
                         _this.addActor(_this._myActor);
                         _this.changeState(LoadBalancingClient.State.Joined);
+                        gp._releaseSendQueue();
                         _this.onJoinRoom();
                     }
                     _this._onOperationResponseInternal2(LoadBalancing.Constants.OperationCode.CreateGame, data);
@@ -2738,6 +6522,7 @@ var Photon;
                             _this.addActor(a);
                         }
                         _this.changeState(LoadBalancingClient.State.Joined);
+                        gp._releaseSendQueue();
                         _this.onJoinRoom();
                     }
                     _this._onOperationResponseInternal2(LoadBalancing.Constants.OperationCode.JoinGame, data);
@@ -2787,6 +6572,22 @@ var Photon;
             LoadBalancingClient.prototype._onOperationResponseInternal2 = function (code, data) {
                 this.onOperationResponse(data.errCode, data.errMsg, code, data.vals);
             };
+            LoadBalancingClient.prototype._onOperationTimeoutInternal = // peer closes its connection after this call
+            function (peer, code, timeoutMs) {
+                var isMaster = peer === this.masterPeer;
+                var errorCode = isMaster ? LoadBalancingClient.PeerErrorCode.MasterOperationTimeout : LoadBalancingClient.PeerErrorCode.GameOperationTimeout;
+                var errorMsg = (isMaster ? "Master" : "Game") + " peer operation " + code + " timeout " + timeoutMs + " ms";
+                switch(this.state) {
+                    case LoadBalancingClient.State.ConnectingToMasterserver:
+                    case LoadBalancingClient.State.ConnectedToMaster:
+                    case LoadBalancingClient.State.ConnectingToGameserver:
+                    case LoadBalancingClient.State.ConnectedToGameserver:
+                        // connection workflow stuck
+                        this.changeState(LoadBalancingClient.State.Error);
+                        break;
+                }
+                this.onError(errorCode, errorMsg);
+            };
             LoadBalancingClient.prototype.initValidNextState = //TODO: ugly way to init const table
             function () {
                 this.validNextState[LoadBalancingClient.State.Error] = [
@@ -2827,13 +6628,26 @@ var Photon;
                 MasterConnectFailed: 1002,
                 MasterConnectClosed: 1003,
                 MasterTimeout: 1004,
+                MasterOperationTimeout: 1005,
+                MasterProtocolError: 1006,
                 MasterAuthenticationFailed: 1101,
                 GameError: 2001,
                 GameConnectFailed: 2002,
                 GameConnectClosed: 2003,
                 GameTimeout: 2004,
+                GameOperationTimeout: 2005,
+                GameProtocolError: 2006,
                 GameAuthenticationFailed: 2101
             };
+            /**
+            @summary Plain WebSocket ports mapped to their secure counterparts when client uses {@link Photon.ConnectionProtocol}.Wss.
+            @member Photon.LoadBalancing.LoadBalancingClient.SecurePorts
+            */
+            LoadBalancingClient.SecurePorts = {
+                "9090": 19090,
+                "9091": 19091,
+                "9093": 19093
+            };
             LoadBalancingClient.State = {
                 Error: -1,
                 Uninitialized: 0,
@@ -2852,12 +6666,21 @@ var Photon;
             return LoadBalancingClient;
         })();
         LoadBalancing.LoadBalancingClient = LoadBalancingClient;        
+        Photon.PhotonPeer.addSensitiveParameterCode(LoadBalancing.Constants.ParameterCode.ClientAuthenticationParams);
+        Photon.PhotonPeer.addSensitiveParameterCode(LoadBalancing.Constants.ParameterCode.Secret);
+        Photon.PhotonPeer.addSensitiveParameterCode(LoadBalancing.Constants.ParameterCode.ClientAuthenticationData);
+        // log records kept for bug reports must not leak credentials
+        Exitgames.Common.RingBufferLogSink.redactParam = function (param) {
+            return Photon.PhotonPeer.prototype._redact(param);
+        };
         //TODO: internal
         var MasterPeer = (function (_super) {
             __extends(MasterPeer, _super);
-            function MasterPeer(client, url, subprotocol) {
-                        _super.call(this, url, subprotocol, "Master");
+            function MasterPeer(client, url, subprotocol, transport) {
+                        _super.call(this, url, subprotocol, "Master", transport);
                 this.client = client;
+                // operations wait for authentication
+                this._holdSendQueue();
             }
             MasterPeer.prototype.onUnhandledEvent = // overrides
             function (code, args) {
@@ -2867,15 +6690,28 @@ var Photon;
             function (code, args) {
                 this.client.onOperationResponse(args.errCode, args.errMsg, code, args.vals);
             };
+            MasterPeer.prototype.onOperationTimeout = // overrides
+            function (code, timeoutMs) {
+                this.client._onOperationTimeoutInternal(this, code, timeoutMs);
+            };
+            MasterPeer.prototype.onThrottle = // overrides
+            function (code, policy) {
+                this.client.onThrottle(code, policy);
+            };
+            MasterPeer.prototype._bypassesSendQueue = function (data) {
+                return _super.prototype._bypassesSendQueue.call(this, data) || data.req === LoadBalancing.Constants.OperationCode.Authenticate;
+            };
             return MasterPeer;
         })(Photon.PhotonPeer);
         LoadBalancing.MasterPeer = MasterPeer;        
         //TODO: internal
         var GamePeer = (function (_super) {
             __extends(GamePeer, _super);
-            function GamePeer(client, url, subprotocol) {
-                        _super.call(this, url, subprotocol, "Game");
+            function GamePeer(client, url, subprotocol, transport) {
+                        _super.call(this, url, subprotocol, "Game", transport);
                 this.client = client;
+                // operations wait for authentication and joining room
+                this._holdSendQueue();
             }
             GamePeer.prototype.onUnhandledEvent = // overrides
             function (code, args) {
@@ -2885,14 +6721,25 @@ var Photon;
             function (code, args) {
                 this.client.onOperationResponse(args.errCode, args.errMsg, code, args.vals);
             };
+            GamePeer.prototype.onOperationTimeout = // overrides
+            function (code, timeoutMs) {
+                this.client._onOperationTimeoutInternal(this, code, timeoutMs);
+            };
+            GamePeer.prototype.onThrottle = // overrides
+            function (code, policy) {
+                this.client.onThrottle(code, policy);
+            };
+            GamePeer.prototype._bypassesSendQueue = function (data) {
+                return _super.prototype._bypassesSendQueue.call(this, data) || data.req === LoadBalancing.Constants.OperationCode.Authenticate || data.req === LoadBalancing.Constants.OperationCode.CreateGame || data.req === LoadBalancing.Constants.OperationCode.JoinGame;
+            };
             GamePeer.prototype.raiseEvent = function (eventCode, data, options) {
-                if(this.client.isJoinedToRoom()) {
+                if(this.client._acceptsRoomOperations()) {
                     this._logger.debug("raiseEvent", eventCode, data, options);
                     var params = [
                         LoadBalancing.Constants.ParameterCode.Code, 
                         eventCode, 
                         LoadBalancing.Constants.ParameterCode.Data, 
-                        data
+                        this._compressPayload(data)
                     ];
                     if(options) {
                         if(options.receivers != undefined && options.receivers !== LoadBalancing.Constants.ReceiverGroup.Others) {
@@ -2912,7 +6759,8 @@ var Photon;
                             }
                         }
                     }
-                    this.sendOperation(LoadBalancing.Constants.OperationCode.RaiseEvent, params);
+                    // server doesn't respond to successful RaiseEvent: don't track it as pending unless asked to
+                    this.sendOperation(LoadBalancing.Constants.OperationCode.RaiseEvent, params, options ? options.sendReliable : undefined, options ? options.channelId : undefined, options ? !!options.expectResponse : false);
                 } else {
                     throw new Error("raiseEvent - Not joined!");
                 }
@@ -2950,6 +6798,101 @@ var Photon;
             return GamePeer;
         })(Photon.PhotonPeer);
         LoadBalancing.GamePeer = GamePeer;        
+        var TrafficReplay = (function () {
+            /**
+            @classdesc Replays recorded session: feeds recorded inbound messages into master and game peers of client.
+            Client connects over {@link Photon.LoopbackTransport}, its outgoing messages are kept in transports and not sent anywhere.
+            @constructor Photon.LoadBalancing.TrafficReplay
+            @param {object[]} records Records as returned by {@link Photon.TrafficRecorder#getRecords} or {@link Photon.TrafficRecorder.parseJSONLines}.
+            */
+            function TrafficReplay(records) {
+                this.records = records;
+                /**
+                @summary Max time in milliseconds replay waits for client to create or connect peer a record is addressed to.
+                @member Photon.LoadBalancing.TrafficReplay#waitTimeoutMs
+                @type {number}
+                @default 5000
+                */
+                this.waitTimeoutMs = 5000;
+                this._position = 0;
+            }
+            TrafficReplay.prototype.play = /**
+            @summary Connects client and replays recording.
+            @method Photon.LoadBalancing.TrafficReplay#play
+            @param {Photon.LoadBalancing.LoadBalancingClient} client Not connected client.
+            @param {number} [speed=0] Playback speed relative to recording. 0 replays without delays.
+            @returns {Promise} Resolved when all inbound records are delivered or rejected if client doesn't follow recording. Undefined if Promise is not supported by environment.
+            */
+            function (client, speed) {
+                if (typeof speed === "undefined") { speed = 0; }
+                var deferred = Exitgames.Common.Util.createDeferred();
+                client.transportFactory = function () {
+                    return new Photon.LoopbackTransport();
+                };
+                this._position = 0;
+                client.connect();
+                this._step(client, speed, deferred, Date.now());
+                return deferred.promise;
+            };
+            TrafficReplay.prototype.onRecord = /**
+            @summary Called after each inbound record is delivered. Override to inspect client state while replaying.
+            @method Photon.LoadBalancing.TrafficReplay#onRecord
+            @param {object} record Delivered record.
+            @param {number} index Index of record.
+            */
+            function (record, index) {
+            };
+            TrafficReplay.prototype._step = function (client, speed, deferred, waitStart) {
+                var _this = this;
+                var records = this.records;
+                while(this._position < records.length && records[this._position].dir != Photon.TrafficRecorder.Direction.In) {
+                    this._position++;
+                }
+                if(this._position == records.length) {
+                    deferred.resolve(records.length);
+                    return;
+                }
+                var record = records[this._position];
+                var peer = this._targetPeer(client, record);
+                if(!peer) {
+                    if(Date.now() - waitStart > this.waitTimeoutMs) {
+                        deferred.reject(new Error("TrafficReplay - " + record.peer + " peer is not ready for record " + this._position));
+                    } else {
+                        setTimeout(function () {
+                            _this._step(client, speed, deferred, waitStart);
+                        }, 1);
+                    }
+                    return;
+                }
+                var index = this._position++;
+                peer._onMessage(record.msg);
+                this.onRecord(record, index);
+                var delay = 0;
+                for(var i = this._position; i < records.length; i++) {
+                    if(records[i].dir == Photon.TrafficRecorder.Direction.In) {
+                        delay = speed > 0 ? Math.max(0, records[i].time - record.time) / speed : 0;
+                        break;
+                    }
+                }
+                setTimeout(function () {
+                    _this._step(client, speed, deferred, Date.now());
+                }, delay);
+            };
+            TrafficReplay.prototype._targetPeer = function (client, record) {
+                var peer = record.peer == "Game" ? client.gamePeer : client.masterPeer;
+                if(!peer || !peer._transport.isOpen || !peer._transport.isOpen()) {
+                    return null;
+                }
+                // JSON messages wait for connected peer
+                // other messages (session id, heartbeat) are passed to connected peer, otherwise start connection of new one
+                if(record.msg.substr(0, 3) == "~j~" && !peer.isConnected()) {
+                    return null;
+                }
+                return peer;
+            };
+            return TrafficReplay;
+        })();
+        LoadBalancing.TrafficReplay = TrafficReplay;        
     })(Photon.LoadBalancing || (Photon.LoadBalancing = {}));
     var LoadBalancing = Photon.LoadBalancing;
 })(Photon || (Photon = {}));
@@ -10,7 +10,7 @@ var DemoFbAppId = this["AppInfo"] && this["AppInfo"]["FbAppId"];
 
 var client = new Photon.LoadBalancing.LoadBalancingClient(DemoMasterAddress, DemoAppId, DemoAppVersion)
 // client.onFbToken = function (token) {
-    // client.setCustomAuthentication("token=" + token, 2);
+    // client.setFacebookAuthentication(token);
     // client.output("Got fb token. Setting custom fb authentication.");
     // client.output("Connect...");
     // client.connect(true);
@@ -0,0 +1,89 @@
+// LoadBalancingClient master server Authenticate parameters. Run: node test/authentication-values.js
+var assert = require("assert");
+var sdk = require("./load-sdk");
+var test = sdk.test;
+var Photon = sdk().Photon;
+var LoadBalancing = Photon.LoadBalancing;
+
+// resolves with parameters of Authenticate sent by client after setup
+function authenticateVals(setup) {
+    var client = new LoadBalancing.LoadBalancingClient("ws", "app", "1.0");
+    var transport = new Photon.LoopbackTransport();
+    client.transportFactory = function () {
+        return transport;
+    };
+    setup(client);
+    client.connect();
+    return new Promise(function (resolve) {
+        setTimeout(function () {
+            transport.receive("~m~4~m~sess");
+            var messages = client.masterPeer._decode(transport.sent[0]);
+            resolve(JSON.stringify(JSON.parse(messages[0].substr(3)).vals));
+        }, 0);
+    });
+}
+
+test("sends no authentication by default", function () {
+    return authenticateVals(function (client) {
+    }).then(function (vals) {
+        assert.strictEqual(vals, '[224,"app",220,"1.0"]');
+    });
+});
+test("sends values changed after setAuthenticationValues", function () {
+    return authenticateVals(function (client) {
+        var authValues = new LoadBalancing.AuthenticationValues();
+        client.setAuthenticationValues(authValues);
+        authValues.addAuthParameter("user name", "a&b").setAuthPostData({ t: 1 }).setUserId("u");
+    }).then(function (vals) {
+        assert.strictEqual(vals, '[224,"app",220,"1.0",217,0,216,"user%20name=a%26b",214,{"t":1},225,"u"]');
+    });
+});
+test("userAuthType and userAuthParameters access authValues", function () {
+    return authenticateVals(function (client) {
+        client.setFacebookAuthentication("tok");
+        assert.strictEqual(client.userAuthType, LoadBalancing.Constants.CustomAuthenticationType.Facebook);
+        assert.strictEqual(client.userAuthParameters, "token=tok");
+        client.userAuthParameters = "token=other";
+        assert.strictEqual(client.authValues.authGetParameters, "token=other");
+    }).then(function (vals) {
+        assert.strictEqual(vals, '[224,"app",220,"1.0",217,2,216,"token=other"]');
+    });
+});
+test("omits empty parameters string", function () {
+    return authenticateVals(function (client) {
+        client.setCustomAuthentication("");
+    }).then(function (vals) {
+        assert.strictEqual(vals, '[224,"app",220,"1.0",217,0]');
+    });
+});
+test("converts byte array POST data", function () {
+    return authenticateVals(function (client) {
+        client.setAuthenticationValues(new LoadBalancing.AuthenticationValues(LoadBalancing.Constants.CustomAuthenticationType.Xbox).setAuthPostData(new Uint8Array([1, 2])));
+    }).then(function (vals) {
+        assert.strictEqual(vals, '[224,"app",220,"1.0",217,' + LoadBalancing.Constants.CustomAuthenticationType.Xbox + ',214,[1,2]]');
+    });
+});
+test("PlayStation, Xbox and JWT helpers", function () {
+    var Type = LoadBalancing.Constants.CustomAuthenticationType;
+    return Promise.all([
+        authenticateVals(function (client) {
+            client.setPlayStation5Authentication("code", 8);
+        }),
+        authenticateVals(function (client) {
+            client.setPlayStation4Authentication("code");
+        }),
+        authenticateVals(function (client) {
+            client.setXboxAuthentication("xsts");
+        }),
+        authenticateVals(function (client) {
+            client.setJwtAuthentication("a.b.c");
+        })
+    ]).then(function (vals) {
+        assert.strictEqual(vals[0], '[224,"app",220,"1.0",217,' + Type.PlayStation5 + ',216,"token=code&env=8"]');
+        assert.strictEqual(vals[1], '[224,"app",220,"1.0",217,' + Type.PlayStation4 + ',216,"token=code"]');
+        assert.strictEqual(vals[2], '[224,"app",220,"1.0",217,' + Type.Xbox + ',214,"xsts"]');
+        assert.strictEqual(vals[3], '[224,"app",220,"1.0",217,' + Type.Custom + ',216,"token=a.b.c"]');
+    });
+});
+
+sdk.run();
@@ -0,0 +1,88 @@
+// Conformance cases for PhotonPeer ~m~ frame decoder. Run: node test/decoder-conformance.js
+var assert = require("assert");
+var sdk = require("./load-sdk");
+var test = sdk.test;
+var Photon = sdk().Photon;
+
+// values come from vm context: compare JSON representation
+function eq(actual, expected) {
+    assert.strictEqual(JSON.stringify(actual), JSON.stringify(expected));
+}
+function peer() {
+    return new Photon.PhotonPeer("ws://localhost", "", "Test", new Photon.LoopbackTransport());
+}
+function decodeError(p, data) {
+    try  {
+        p._decode(data);
+    } catch (error) {
+        assert.strictEqual(error.name, "ProtocolError");
+        return error;
+    }
+    assert.fail("ProtocolError expected for " + JSON.stringify(data));
+}
+
+test("decodes several messages in one frame", function () {
+    eq(peer()._decode("~m~3~m~abc~m~2~m~de"), ["abc", "de"]);
+});
+test("decodes empty message", function () {
+    eq(peer()._decode("~m~0~m~"), [""]);
+});
+test("keeps message split across frames until complete", function () {
+    var p = peer();
+    eq(p._decode("~m~3~m~a"), []);
+    eq(p._decode("bc~"), ["abc"]);
+    eq(p._decode("m~1"), []);
+    eq(p._decode("0~m~0123456789"), ["0123456789"]);
+    eq(p._decodeBuffer, "");
+});
+test("splits frame at every position", function () {
+    var data = "~m~3~m~abc~m~10~m~~j~{\"a\":1}";
+    for(var i = 0; i <= data.length; i++) {
+        var p = peer();
+        var messages = p._decode(data.substr(0, i)).concat(p._decode(data.substr(i)));
+        eq(messages, ["abc", "~j~{\"a\":1}"]);
+    }
+});
+test("skips NUL padding between messages only", function () {
+    eq(peer()._decode("\x00~m~2~m~\x00a\x00\x00~m~1~m~b\x00"), ["\x00a", "b"]);
+});
+test("counts length in UTF-16 code units", function () {
+    var p = peer();
+    eq(p._decode("~m~3~m~é😀~m~1~m~x"), ["é😀", "x"]);
+    eq(p._decode(p._encode(["x😀y", { a: "é" }])), ["x😀y", "~j~{\"a\":\"é\"}"]);
+});
+test("rejects length splitting surrogate pair", function () {
+    decodeError(peer(), "~m~2~m~é😀");
+});
+test("rejects garbage input", function () {
+    var garbage = ["x", "~x~1~m~a", "m~1~m~a", "~m~~m~", "~m~a~m~b", "~m~1~x~a", "~m~-1~m~"];
+    for(var i = 0; i < garbage.length; i++) {
+        decodeError(peer(), garbage[i]);
+    }
+});
+test("rejects oversized length", function () {
+    decodeError(peer(), "~m~" + new Array(Photon.PhotonPeer.MaxLengthDigits + 2).join("9") + "~m~");
+});
+test("reports messages decoded before error and drops buffer", function () {
+    var p = peer();
+    var error = decodeError(p, "~m~1~m~a~x~1");
+    eq(error.decoded, ["a"]);
+    eq(p._decodeBuffer, "");
+    eq(p._decode("~m~1~m~b"), ["b"]);
+});
+test("raises protocolError status on malformed frame", function () {
+    var p = peer();
+    var errors = [];
+    p.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.protocolError, function (error) {
+        errors.push(error.message);
+    });
+    p.connect();
+    p._transport.receive("~m~4~m~sess");
+    p._transport.receive("~m~4~m~~j~{");
+    p._transport.receive("~m~2~m~xx~q");
+    eq(errors.length, 2);
+    assert.ok(/invalid JSON/.test(errors[0]), errors[0]);
+    assert.ok(/invalid frame marker/.test(errors[1]), errors[1]);
+});
+
+sdk.run();
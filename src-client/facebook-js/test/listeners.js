@@ -0,0 +1,95 @@
+// PhotonPeer listener registration: disposers, once, priorities and wildcard. Run: node test/listeners.js
+var assert = require("assert");
+var sdk = require("./load-sdk");
+var test = sdk.test;
+var Photon = sdk().Photon;
+
+function peer() {
+    return new Photon.PhotonPeer("ws://localhost", "", "Test", new Photon.LoopbackTransport());
+}
+
+test("add*Listener returns function removing listener", function () {
+    var p = peer();
+    var log = [];
+    var removeEvent = p.addEventListener(1, function () {
+        log.push("event");
+    });
+    var removeResponse = p.addResponseListener(2, function () {
+        log.push("response");
+    });
+    var removeStatus = p.addPeerStatusListener("connect", function () {
+        log.push("status");
+    });
+    assert.strictEqual(typeof removeEvent, "function");
+    p._dispatchEvent(1, {});
+    p._dispatchResponse(2, {});
+    p._dispatchPeerStatus("connect");
+    removeEvent();
+    removeResponse();
+    removeStatus();
+    // second call is harmless
+    removeEvent();
+    p._dispatchEvent(1, {});
+    p._dispatchResponse(2, {});
+    p._dispatchPeerStatus("connect");
+    assert.deepStrictEqual(log, ["event", "response", "status"]);
+});
+test("disposer removes only its own registration", function () {
+    var p = peer();
+    var log = [];
+    var callback = function () {
+        log.push("a");
+    };
+    var remove = p.addEventListener(1, callback);
+    p.addEventListener(1, callback);
+    remove();
+    p._dispatchEvent(1, {});
+    assert.deepStrictEqual(log, ["a"]);
+});
+test("add*ListenerOnce is called once and returns disposer", function () {
+    var p = peer();
+    var log = [];
+    p.addEventListenerOnce(1, function () {
+        log.push("once");
+    });
+    var remove = p.addResponseListenerOnce(2, function () {
+        log.push("removed");
+    });
+    remove();
+    p._dispatchEvent(1, {});
+    p._dispatchEvent(1, {});
+    p._dispatchResponse(2, {});
+    assert.deepStrictEqual(log, ["once"]);
+});
+test("calls listeners by priority and wildcard with code", function () {
+    var p = peer();
+    var log = [];
+    p.addEventListener(1, function () {
+        log.push("default");
+    });
+    p.addEventListener(1, function () {
+        log.push("high");
+    }, 10);
+    p.addEventListener(Photon.PhotonPeer.AnyCode, function (code) {
+        log.push("any " + code);
+    });
+    p._dispatchEvent(1, {});
+    assert.deepStrictEqual(log, ["high", "default", "any 1"]);
+});
+test("subscribe selects listener type", function () {
+    var p = peer();
+    var log = [];
+    var remove = p.subscribe(Photon.PhotonPeer.ListenerType.Response, 2, function () {
+        log.push("response");
+    });
+    p._dispatchResponse(2, {});
+    remove();
+    p._dispatchResponse(2, {});
+    assert.deepStrictEqual(log, ["response"]);
+    assert.throws(function () {
+        p.subscribe("unknown", 1, function () {
+        });
+    }, /Unknown listener type/);
+});
+
+sdk.run();
@@ -0,0 +1,173 @@
+// LitePeer.getProperties request parameters and properties cache updates. Run: node test/lite-get-properties.js
+var assert = require("assert");
+var sdk = require("./load-sdk");
+var test = sdk.test;
+var Photon = sdk().Photon;
+var Lite = Photon.Lite;
+var Types = Lite.Constants.LitePropertyTypes;
+var Key = Lite.Constants.LiteOpKey;
+
+function receive(p, message) {
+    p._transport.receive(p._encode(message));
+}
+// peer joined room "r" as actor 1 with actors 2 and 3
+function joinedPeer(p) {
+    p = p || new Lite.LitePeer("ws://localhost", "", new Photon.LoopbackTransport());
+    p.connect();
+    return new Promise(function (resolve) {
+        setTimeout(function () {
+            p._transport.receive("~m~4~m~sess");
+            p.join("r");
+            receive(p, { res: Lite.Constants.LiteOpCode.Join, err: 0, vals: { 254: 1 } });
+            receive(p, { evt: Lite.Constants.LiteEventCode.Join, vals: { 254: 1, 252: [1, 2, 3] } });
+            p._transport.sent = [];
+            resolve(p);
+        }, 0);
+    });
+}
+function lastRequest(p) {
+    var messages = p._decode(p._transport.sent[p._transport.sent.length - 1]);
+    return JSON.parse(messages[0].substr(3));
+}
+function respond(p, vals) {
+    receive(p, { res: Lite.Constants.LiteOpCode.GetProperties, err: 0, vals: vals });
+}
+function setCache(p) {
+    p.room.properties = { a: 1, b: 2 };
+    p.actors[2].properties = { k: 1, l: 2 };
+    p.actors[3].properties = { k: 3, l: 4 };
+}
+function json(x) {
+    return JSON.stringify(x);
+}
+
+test("sends filters matching every parameter combination", function () {
+    return joinedPeer().then(function (p) {
+        var types = [Types.Game, Types.Actor, Types.GameAndActor];
+        var roomKeys = [undefined, [], ["a"]];
+        var actorKeys = [undefined, [], ["k"]];
+        var actorNrs = [undefined, [], [2, 3]];
+        for(var t = 0; t < types.length; t++) {
+            for(var r = 0; r < roomKeys.length; r++) {
+                for(var k = 0; k < actorKeys.length; k++) {
+                    for(var n = 0; n < actorNrs.length; n++) {
+                        p.getProperties(types[t], roomKeys[r], actorKeys[k], actorNrs[n]);
+                        var expected = [Key.Properties, types[t]];
+                        if((types[t] & Types.Game) && roomKeys[r] && roomKeys[r].length) {
+                            expected.push(Key.GameProperties, roomKeys[r]);
+                        }
+                        if((types[t] & Types.Actor) && actorKeys[k] && actorKeys[k].length) {
+                            expected.push(Key.ActorProperties, actorKeys[k]);
+                        }
+                        if((types[t] & Types.Actor) && actorNrs[n] && actorNrs[n].length) {
+                            expected.push(Key.ActorList, actorNrs[n]);
+                        }
+                        assert.strictEqual(json(lastRequest(p)), json({ req: Lite.Constants.LiteOpCode.GetProperties, vals: expected }), [types[t], json(roomKeys[r]), json(actorKeys[k]), json(actorNrs[n])].join(" "));
+                    }
+                }
+            }
+        }
+    });
+});
+test("sends GameAndActor without filters by default", function () {
+    return joinedPeer().then(function (p) {
+        p.getProperties();
+        assert.strictEqual(json(lastRequest(p).vals), json([Key.Properties, Types.GameAndActor]));
+    });
+});
+test("getRoomProperties and getActorProperties select property type", function () {
+    return joinedPeer().then(function (p) {
+        p.getRoomProperties(["a"]);
+        assert.strictEqual(json(lastRequest(p).vals), json([Key.Properties, Types.Game, Key.GameProperties, ["a"]]));
+        p.getActorProperties(["k"], [2]);
+        assert.strictEqual(json(lastRequest(p).vals), json([Key.Properties, Types.Actor, Key.ActorProperties, ["k"], Key.ActorList, [2]]));
+    });
+});
+test("rejects invalid property type", function () {
+    return joinedPeer().then(function (p) {
+        var invalid = [0, 4, 5, -1];
+        for(var i = 0; i < invalid.length; i++) {
+            assert.throws(function () {
+                p.getProperties(invalid[i]);
+            }, /Invalid property type/);
+        }
+    });
+});
+test("throws if not joined", function () {
+    var p = new Lite.LitePeer("ws://localhost", "", new Photon.LoopbackTransport());
+    assert.throws(function () {
+        p.getProperties();
+    }, /Not joined/);
+});
+test("unfiltered response replaces cached properties", function () {
+    return joinedPeer().then(function (p) {
+        setCache(p);
+        p.getProperties();
+        respond(p, { 248: { a: 5 }, 249: { "2": { k: 6 } } });
+        assert.strictEqual(json(p.room.properties), json({ a: 5 }));
+        assert.strictEqual(json(p.actors[2].properties), json({ k: 6 }));
+        // actor without properties is not listed in response
+        assert.strictEqual(json(p.actors[3].properties), json({}));
+    });
+});
+test("response filtered by keys is merged into cached properties", function () {
+    return joinedPeer().then(function (p) {
+        setCache(p);
+        p.getProperties(Types.GameAndActor, ["a"], ["k"]);
+        respond(p, { 248: { a: 5 }, 249: { "2": { k: 6 }, "3": { k: 7 } } });
+        assert.strictEqual(json(p.room.properties), json({ a: 5, b: 2 }));
+        assert.strictEqual(json(p.actors[2].properties), json({ k: 6, l: 2 }));
+        assert.strictEqual(json(p.actors[3].properties), json({ k: 7, l: 4 }));
+    });
+});
+test("response filtered by actors replaces properties of requested actors only", function () {
+    return joinedPeer().then(function (p) {
+        setCache(p);
+        p.getActorProperties(undefined, [2]);
+        respond(p, { 249: { "2": { k: 6 } } });
+        assert.strictEqual(json(p.actors[2].properties), json({ k: 6 }));
+        assert.strictEqual(json(p.actors[3].properties), json({ k: 3, l: 4 }));
+        assert.strictEqual(json(p.room.properties), json({ a: 1, b: 2 }));
+    });
+});
+test("room and actor key filters apply independently", function () {
+    return joinedPeer().then(function (p) {
+        setCache(p);
+        p.getProperties(Types.GameAndActor, ["a"]);
+        respond(p, { 248: { a: 5 }, 249: { "2": { k: 6 }, "3": { k: 7 } } });
+        assert.strictEqual(json(p.room.properties), json({ a: 5, b: 2 }));
+        assert.strictEqual(json(p.actors[2].properties), json({ k: 6 }));
+        assert.strictEqual(json(p.actors[3].properties), json({ k: 7 }));
+    });
+});
+test("responses are matched to requests in order", function () {
+    return joinedPeer().then(function (p) {
+        setCache(p);
+        p.getRoomProperties(["a"]);
+        p.getRoomProperties();
+        respond(p, { 248: { a: 5 } });
+        assert.strictEqual(json(p.room.properties), json({ a: 5, b: 2 }));
+        respond(p, { 248: { c: 1 } });
+        assert.strictEqual(json(p.room.properties), json({ c: 1 }));
+    });
+});
+test("filter of timed out request is not applied to later response", function () {
+    return joinedPeer().then(function (p) {
+        p.setOperationTimeout(Lite.Constants.LiteOpCode.GetProperties, 10);
+        p.getRoomProperties(["a"]).then(null, function () {
+        });
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 30);
+        }).then(function () {
+            assert.ok(!p.isConnected());
+            return joinedPeer(p);
+        });
+    }).then(function (p) {
+        setCache(p);
+        p.getRoomProperties();
+        respond(p, { 248: { c: 1 } });
+        assert.strictEqual(json(p.room.properties), json({ c: 1 }));
+    });
+});
+
+sdk.run();
@@ -0,0 +1,64 @@
+// Loads Photon-Javascript_SDK.js into a fresh Node.js vm context and returns the context (Photon, Exitgames).
+// SDK logs go to a muted console unless console is passed in globals.
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+module.exports = function (globals) {
+    var muted = function () {
+    };
+    var context = {
+        console: { log: muted, debug: muted, info: muted, warn: muted, error: muted },
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        setInterval: setInterval,
+        clearInterval: clearInterval,
+        Promise: Promise
+    };
+    for(var k in globals) {
+        context[k] = globals[k];
+    }
+    vm.createContext(context);
+    var file = path.join(__dirname, "..", "Photon", "Photon-Javascript_SDK.js");
+    vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+    return context;
+};
+
+// Minimal runner: test(name, fn) registers case, fn may return promise. run() reports and sets exit code.
+var cases = [];
+module.exports.test = function (name, fn) {
+    cases.push({ name: name, fn: fn });
+};
+module.exports.run = function () {
+    var failed = 0;
+    var i = 0;
+    var next = function () {
+        if(i == cases.length) {
+            console.log(failed ? failed + " of " + cases.length + " failed" : "all " + cases.length + " passed");
+            process.exit(failed ? 1 : 0);
+        }
+        var c = cases[i++];
+        var report = function (error) {
+            if(error) {
+                failed++;
+                console.log("not ok - " + c.name + "\n    " + (error.stack || error));
+            } else {
+                console.log("ok - " + c.name);
+            }
+            next();
+        };
+        try  {
+            var result = c.fn();
+            if(result && typeof result.then === "function") {
+                result.then(function () {
+                    report();
+                }, report);
+            } else {
+                report();
+            }
+        } catch (error) {
+            report(error);
+        }
+    };
+    next();
+};
@@ -0,0 +1,100 @@
+// PhotonPeer pending operation matching and timeouts. Run: node test/pending-operations.js
+var assert = require("assert");
+var sdk = require("./load-sdk");
+var test = sdk.test;
+var Photon = sdk().Photon;
+
+function createPeer() {
+    return new Photon.PhotonPeer("ws://localhost", "", "Test", new Photon.LoopbackTransport());
+}
+// loopback transport opens on next tick
+function connect(p) {
+    p.connect();
+    return new Promise(function (resolve) {
+        setTimeout(function () {
+            p._transport.receive("~m~4~m~sess");
+            resolve(p);
+        }, 0);
+    });
+}
+function respond(p, code, vals, err) {
+    p._transport.receive(p._encode({ res: code, err: err || 0, vals: vals }));
+}
+function delay(ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+function outcome(promise, log, name) {
+    promise.then(function (args) {
+        log.push(name + " resolved " + args.vals.n);
+    }, function (error) {
+        log.push(name + " rejected " + error.name);
+    });
+}
+
+test("matches responses to operations in order per code", function () {
+    var log = [];
+    return connect(createPeer()).then(function (p) {
+        outcome(p.sendOperation(5, []), log, "A");
+        outcome(p.sendOperation(6, []), log, "B");
+        outcome(p.sendOperation(5, []), log, "C");
+        respond(p, 5, { n: 1 });
+        respond(p, 6, { n: 2 });
+        respond(p, 5, { n: 3 }, 7);
+        return delay(0);
+    }).then(function () {
+        assert.deepStrictEqual(log, ["A resolved 1", "B resolved 2", "C rejected OperationError"]);
+    });
+});
+test("timeout rejects operation and closes connection", function () {
+    var log = [];
+    var timeouts = [];
+    var p = createPeer();
+    p.setOperationTimeout(5, 10);
+    p.onOperationTimeout = function (code, timeoutMs) {
+        timeouts.push(code + " " + timeoutMs);
+    };
+    return connect(p).then(function () {
+        outcome(p.sendOperation(5, []), log, "A");
+        outcome(p.sendOperation(6, []), log, "B");
+        return delay(30);
+    }).then(function () {
+        assert.deepStrictEqual(timeouts, ["5 10"]);
+        assert.deepStrictEqual(log, ["A rejected OperationTimeoutError", "B rejected OperationAbortedError"]);
+        assert.ok(!p.isConnected());
+        assert.strictEqual(JSON.stringify(p._pendingOperations), "{}");
+    });
+});
+test("operation after timeout is answered on new connection", function () {
+    var log = [];
+    var p = createPeer();
+    p.setOperationTimeout(5, 10);
+    return connect(p).then(function () {
+        outcome(p.sendOperation(5, []), log, "A");
+        return delay(30);
+    }).then(function () {
+        return connect(p);
+    }).then(function () {
+        outcome(p.sendOperation(5, []), log, "B");
+        respond(p, 5, { n: 2 });
+        return delay(0);
+    }).then(function () {
+        assert.deepStrictEqual(log, ["A rejected OperationTimeoutError", "B resolved 2"]);
+    });
+});
+test("answered operation does not time out", function () {
+    var log = [];
+    var p = createPeer();
+    p.setOperationTimeout(5, 10);
+    return connect(p).then(function () {
+        outcome(p.sendOperation(5, []), log, "A");
+        respond(p, 5, { n: 1 });
+        return delay(30);
+    }).then(function () {
+        assert.deepStrictEqual(log, ["A resolved 1"]);
+        assert.ok(p.isConnected());
+    });
+});
+
+sdk.run();
@@ -0,0 +1,162 @@
+// PhotonPeer.sendOperation sendReliable/channelId handling. Run: node test/send-operation.js
+var assert = require("assert");
+var sdk = require("./load-sdk");
+var test = sdk.test;
+var Photon = sdk().Photon;
+
+function createPeer(sent) {
+    var transport = new Photon.LoopbackTransport();
+    transport.onsend = function (frame) {
+        sent.push(frame);
+    };
+    return new Photon.PhotonPeer("ws://localhost", "", "Test", transport);
+}
+// loopback transport opens on next tick
+function connect(p) {
+    p.connect();
+    return new Promise(function (resolve) {
+        setTimeout(function () {
+            p._transport.receive("~m~4~m~sess");
+            resolve(p);
+        }, 0);
+    });
+}
+function requests(p, sent) {
+    var result = [];
+    for(var i = 0; i < sent.length; i++) {
+        var messages = p._decode(sent[i]);
+        for(var j = 0; j < messages.length; j++) {
+            result.push(messages[j]);
+        }
+    }
+    return result;
+}
+
+test("sends default channel operations unsequenced", function () {
+    var sent = [];
+    return connect(createPeer(sent)).then(function (p) {
+        p.sendOperation(5, [1, "a"]);
+        p.sendOperation(5, [1, "b"], true);
+        assert.deepStrictEqual(requests(p, sent), ['~j~{"req":5,"vals":[1,"a"]}', '~j~{"req":5,"vals":[1,"b"]}']);
+    });
+});
+test("numbers reliable and unreliable operations per channel", function () {
+    var sent = [];
+    return connect(createPeer(sent)).then(function (p) {
+        p.sendOperation(5, [1, "a"], true, 2);
+        p.sendOperation(5, [1, "b"], false, 2);
+        p.sendOperation(5, [1, "c"], undefined, 2);
+        p.sendOperation(5, [1, "d"], false, 0);
+        p.sendOperation(6, [1, "e"], true, 3);
+        assert.deepStrictEqual(requests(p, sent), [
+            '~j~{"req":5,"vals":[1,"a"],"ch":2,"seq":1}', 
+            '~j~{"req":5,"vals":[1,"b"],"ch":2,"unrel":1,"seq":1}', 
+            '~j~{"req":5,"vals":[1,"c"],"ch":2,"seq":2}', 
+            '~j~{"req":5,"vals":[1,"d"],"ch":0,"unrel":1,"seq":1}', 
+            '~j~{"req":6,"vals":[1,"e"],"ch":3,"seq":1}'
+        ]);
+    });
+});
+test("restarts sequence numbers on reconnect", function () {
+    var sent = [];
+    var p = createPeer(sent);
+    return connect(p).then(function () {
+        p.sendOperation(5, [1, "a"], true, 1);
+        p.disconnect();
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 0);
+        });
+    }).then(function () {
+        return connect(p);
+    }).then(function () {
+        p.sendOperation(5, [1, "b"], true, 1);
+        assert.deepStrictEqual(requests(p, sent), ['~j~{"req":5,"vals":[1,"a"],"ch":1,"seq":1}', '~j~{"req":5,"vals":[1,"b"],"ch":1,"seq":1}']);
+    });
+});
+test("replaces batched operation sent with sendReliable=false on the same channel", function () {
+    var sent = [];
+    var dropped;
+    return connect(createPeer(sent)).then(function (p) {
+        p.setBatching(true, 1000);
+        p.sendOperation(5, [1, "a"], false, 1).then(null, function (error) {
+            dropped = error;
+        });
+        p.sendOperation(5, [1, "b"], false, 1);
+        p.sendOperation(5, [1, "c"], false, 2);
+        p.flush();
+        // numbers follow order on the wire
+        assert.deepStrictEqual(requests(p, sent), ['~j~{"req":5,"vals":[1,"b"],"ch":1,"unrel":1,"seq":1}', '~j~{"req":5,"vals":[1,"c"],"ch":2,"unrel":1,"seq":1}']);
+    }).then(function () {
+        assert.strictEqual(dropped.name, "OperationDroppedError");
+    });
+});
+test("keeps unreliable operations with different event codes", function () {
+    var sent = [];
+    return connect(createPeer(sent)).then(function (p) {
+        p.setBatching(true, 1000);
+        p.sendOperation(253, [244, 1, 245, "a"], false, 1, false);
+        p.sendOperation(253, [244, 2, 245, "b"], false, 1, false);
+        p.sendOperation(253, [244, 1, 245, "c"], false, 1, false);
+        p.flush();
+        assert.deepStrictEqual(requests(p, sent), ['~j~{"req":253,"vals":[244,2,245,"b"],"ch":1,"unrel":1,"seq":1}', '~j~{"req":253,"vals":[244,1,245,"c"],"ch":1,"unrel":1,"seq":2}']);
+    });
+});
+test("keeps operations sent without explicit sendReliable=false", function () {
+    var sent = [];
+    return connect(createPeer(sent)).then(function (p) {
+        p.setBatching(true, 1000);
+        p.sendOperation(5, [1, "a"]);
+        p.sendOperation(5, [1, "b"]);
+        p.sendOperation(5, [1, "c"], true);
+        p.sendOperation(5, [1, "d"], false);
+        p.flush();
+        assert.deepStrictEqual(requests(p, sent), ['~j~{"req":5,"vals":[1,"a"]}', '~j~{"req":5,"vals":[1,"b"]}', '~j~{"req":5,"vals":[1,"c"]}', '~j~{"req":5,"vals":[1,"d"],"ch":0,"unrel":1,"seq":1}']);
+    });
+});
+test("replaces queued operation while connecting", function () {
+    var sent = [];
+    var p = createPeer(sent);
+    p.sendQueueEnabled = true;
+    var connected = connect(p);
+    p.sendOperation(5, [1, "a"], false);
+    p.sendOperation(6, [1, "x"], false);
+    p.sendOperation(5, [1, "b"], false);
+    return connected.then(function () {
+        assert.deepStrictEqual(requests(p, sent), ['~j~{"req":6,"vals":[1,"x"],"ch":0,"unrel":1,"seq":1}', '~j~{"req":5,"vals":[1,"b"],"ch":0,"unrel":1,"seq":2}']);
+    });
+});
+function receiveEvents(messages) {
+    var received = [];
+    return connect(createPeer([])).then(function (p) {
+        p.addEventListener(1, function (args) {
+            received.push(args.vals.n);
+        });
+        p._transport.receive(p._encode(messages));
+        return received;
+    });
+}
+test("delivers reliable messages in order within channel", function () {
+    return receiveEvents([
+        { evt: 1, vals: { n: "1.2" }, ch: 1, seq: 2 }, 
+        { evt: 1, vals: { n: "2.1" }, ch: 2, seq: 1 }, 
+        { evt: 1, vals: { n: "x" } }, 
+        { evt: 1, vals: { n: "1.1" }, ch: 1, seq: 1 }, 
+        { evt: 1, vals: { n: "1.1" }, ch: 1, seq: 1 }, 
+        { evt: 1, vals: { n: "1.3" }, ch: 1, seq: 3 }
+    ]).then(function (received) {
+        // gap on channel 1 doesn't delay channel 2 and unsequenced messages, duplicate is dropped
+        assert.deepStrictEqual(received, ["2.1", "x", "1.1", "1.2", "1.3"]);
+    });
+});
+test("drops stale unreliable messages", function () {
+    return receiveEvents([
+        { evt: 1, vals: { n: 2 }, ch: 1, unrel: 1, seq: 2 }, 
+        { evt: 1, vals: { n: 1 }, ch: 1, unrel: 1, seq: 1 }, 
+        { evt: 1, vals: { n: 5 }, ch: 2, unrel: 1, seq: 1 }, 
+        { evt: 1, vals: { n: 4 }, ch: 1, unrel: 1, seq: 4 }
+    ]).then(function (received) {
+        assert.deepStrictEqual(received, [2, 5, 4]);
+    });
+});
+
+sdk.run();
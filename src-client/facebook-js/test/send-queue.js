@@ -0,0 +1,93 @@
+// Outgoing send queue of PhotonPeer and LoadBalancingClient game server hop. Run: node test/send-queue.js
+var assert = require("assert");
+var sdk = require("./load-sdk");
+var test = sdk.test;
+var Photon = sdk().Photon;
+var LoadBalancing = Photon.LoadBalancing;
+var OperationCode = LoadBalancing.Constants.OperationCode;
+
+function delay(ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+function requestCodes(p, sent) {
+    var codes = [];
+    for(var i = 0; i < sent.length; i++) {
+        var messages = p._decode(sent[i]);
+        for(var j = 0; j < messages.length; j++) {
+            codes.push(JSON.parse(messages[j].substr(3)).req);
+        }
+    }
+    return codes;
+}
+// client in lobby hopping to game server over loopback transport
+function hoppingClient(sendQueue) {
+    var client = new LoadBalancing.LoadBalancingClient("ws", "app", "1.0");
+    var transport = new Photon.LoopbackTransport();
+    client.transportFactory = function () {
+        return transport;
+    };
+    client.setSendQueue(sendQueue);
+    client.keepMasterConnection = true;
+    client.state = LoadBalancing.LoadBalancingClient.State.JoinedLobby;
+    client.currentRoom = client.roomFactoryInternal("r");
+    client.currentRoom.address = "localhost:9090";
+    client.connectToGameServer(false);
+    return {
+        client: client,
+        transport: transport
+    };
+}
+
+test("raiseEvent during game server hop is sent after joining", function () {
+    var h = hoppingClient(true);
+    h.client.raiseEvent(1, "early");
+    return delay(0).then(function () {
+        h.transport.receive("~m~4~m~sess");
+        h.client.raiseEvent(2, "connected");
+        h.transport.receive(h.client.gamePeer._encode({ res: OperationCode.Authenticate, err: 0, vals: {} }));
+        assert.deepStrictEqual(requestCodes(h.client.gamePeer, h.transport.sent), [OperationCode.Authenticate, OperationCode.JoinGame]);
+        h.transport.receive(h.client.gamePeer._encode({ res: OperationCode.JoinGame, err: 0, vals: { 254: 1 } }));
+        assert.deepStrictEqual(requestCodes(h.client.gamePeer, h.transport.sent), [OperationCode.Authenticate, OperationCode.JoinGame, OperationCode.RaiseEvent, OperationCode.RaiseEvent]);
+    });
+});
+test("raiseEvent during game server hop is ignored without send queue", function () {
+    var h = hoppingClient(false);
+    h.client.raiseEvent(1, "early");
+    return delay(0).then(function () {
+        h.transport.receive("~m~4~m~sess");
+        assert.deepStrictEqual(requestCodes(h.client.gamePeer, h.transport.sent), [OperationCode.Authenticate]);
+    });
+});
+test("operation failing while flushing queue is rejected, following ones stay queued", function () {
+    var p = new Photon.PhotonPeer("ws://localhost", "", "Test", new Photon.LoopbackTransport());
+    var log = [];
+    p.sendQueueEnabled = true;
+    p._holdSendQueue();
+    p.connect();
+    return delay(0).then(function () {
+        p._transport.receive("~m~4~m~sess");
+        p.sendOperation(5, [1, "a"]).then(null, function (error) {
+            log.push("a rejected " + error.message);
+        });
+        p.sendOperation(6, [1, "b"]).then(null, function (error) {
+            log.push("b rejected " + error.name);
+        });
+        p.sendOperation(7, [1, "c"]);
+        var send = p._transport.send;
+        p._transport.send = function () {
+            p._transport.send = send;
+            throw new Error("socket failed");
+        };
+        p._releaseSendQueue();
+        assert.strictEqual(p._sendQueue.length, 2);
+        p._flushSendQueue();
+        assert.deepStrictEqual(requestCodes(p, p._transport.sent), [6, 7]);
+        return delay(0);
+    }).then(function () {
+        assert.deepStrictEqual(log, ["a rejected socket failed"]);
+    });
+});
+
+sdk.run();
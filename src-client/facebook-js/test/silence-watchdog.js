@@ -0,0 +1,65 @@
+// PhotonPeer server silence watchdog. Run: node test/silence-watchdog.js
+var assert = require("assert");
+var sdk = require("./load-sdk");
+var test = sdk.test;
+
+// records created sockets, events are fired by test
+var sockets = [];
+function FakeWebSocket(url) {
+    this.url = url;
+    this.sent = [];
+    sockets.push(this);
+}
+FakeWebSocket.prototype.send = function (data) {
+    this.sent.push(data);
+};
+FakeWebSocket.prototype.close = function () {
+};
+var Photon = sdk({ WebSocket: FakeWebSocket }).Photon;
+
+function delay(ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+function open(p) {
+    p.connect();
+    var socket = sockets[sockets.length - 1];
+    socket.onopen({});
+    socket.onmessage({ data: "~m~4~m~sess" });
+    return socket;
+}
+
+test("raises timeout status when server is silent", function () {
+    sockets = [];
+    var p = new Photon.PhotonPeer("ws://a", "", "Test", new Photon.WebSocketTransport());
+    var statuses = [];
+    p.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.timeout, function () {
+        statuses.push("timeout");
+    });
+    p.disconnectTimeoutMs = 20;
+    open(p);
+    return delay(40).then(function () {
+        assert.deepStrictEqual(statuses, ["timeout"]);
+        assert.ok(!p.isConnected());
+        assert.ok(!p.isClosing());
+    });
+});
+test("peer reconnected after timeout sends operations", function () {
+    sockets = [];
+    var p = new Photon.PhotonPeer("ws://a", "", "Test", new Photon.WebSocketTransport());
+    p.disconnectTimeoutMs = 20;
+    open(p);
+    return delay(40).then(function () {
+        p.disconnectTimeoutMs = 0;
+        // close of timed out socket is never reported: its handlers are detached on reconnect
+        var socket = open(p);
+        assert.ok(p.isConnected());
+        assert.ok(!p.isClosing());
+        p.sendOperation(5, [1, "a"], undefined, undefined, false);
+        assert.strictEqual(socket.sent.length, 1);
+        p.disconnect();
+    });
+});
+
+sdk.run();
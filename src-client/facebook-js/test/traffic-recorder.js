@@ -0,0 +1,71 @@
+// TrafficRecorder records and TrafficReplay input. Run: node test/traffic-recorder.js
+var assert = require("assert");
+var sdk = require("./load-sdk");
+var test = sdk.test;
+var Photon = sdk().Photon;
+var LoadBalancing = Photon.LoadBalancing;
+var OperationCode = LoadBalancing.Constants.OperationCode;
+var ParameterCode = LoadBalancing.Constants.ParameterCode;
+
+// resolves with records of client authenticating on master server, server responds with secret
+function recordAuthentication(recorder) {
+    var client = new LoadBalancing.LoadBalancingClient("ws", "app", "1.0");
+    var transport = new Photon.LoopbackTransport();
+    client.transportFactory = function () {
+        return transport;
+    };
+    client.setRecorder(recorder);
+    client.setCustomAuthentication("token=abc");
+    client.connect();
+    return new Promise(function (resolve) {
+        setTimeout(function () {
+            var vals = {};
+            vals[ParameterCode.Secret] = "s1";
+            transport.receive("~m~4~m~sess");
+            transport.receive(client.masterPeer._encode({ res: OperationCode.Authenticate, err: 0, vals: vals }));
+            resolve(recorder.getRecords());
+        }, 0);
+    });
+}
+function messages(records) {
+    var msgs = [];
+    for(var i = 0; i < records.length; i++) {
+        msgs.push(records[i].dir + " " + records[i].msg);
+    }
+    return msgs;
+}
+
+test("records messages as sent and received", function () {
+    return recordAuthentication(new Photon.TrafficRecorder()).then(function (records) {
+        var msgs = messages(records);
+        assert.strictEqual(msgs[0], "in sess");
+        assert.ok(msgs[1].indexOf('"token=abc"') > 0, msgs[1]);
+        assert.strictEqual(msgs[2], 'in ~j~{"res":' + OperationCode.Authenticate + ',"err":0,"vals":{"' + ParameterCode.Secret + '":"s1"}}');
+    });
+});
+test("redacting recorder masks sensitive values", function () {
+    var recorder = new Photon.TrafficRecorder(undefined, true);
+    return recordAuthentication(recorder).then(function (records) {
+        var msgs = messages(records);
+        assert.ok(msgs[1].indexOf("token=abc") < 0 && msgs[1].indexOf('"***"') > 0, msgs[1]);
+        assert.ok(msgs[2].indexOf("s1") < 0 && msgs[2].indexOf('"***"') > 0, msgs[2]);
+    });
+});
+test("replay feeds recorded values to client", function () {
+    return recordAuthentication(new Photon.TrafficRecorder()).then(function (records) {
+        var client = new LoadBalancing.LoadBalancingClient("ws", "app", "1.0");
+        var secrets = [];
+        client.connect = function () {
+            LoadBalancing.LoadBalancingClient.prototype.connect.call(client);
+            client.masterPeer.addResponseListener(OperationCode.Authenticate, function (args) {
+                secrets.push(args.vals[ParameterCode.Secret]);
+            });
+            return true;
+        };
+        return new LoadBalancing.TrafficReplay(records).play(client).then(function () {
+            assert.deepStrictEqual(secrets, ["s1"]);
+        });
+    });
+});
+
+sdk.run();
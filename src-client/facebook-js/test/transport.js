@@ -0,0 +1,181 @@
+// WebSocketTransport socket handling and LoopbackTransport behavior. Run: node test/transport.js
+var assert = require("assert");
+var sdk = require("./load-sdk");
+var test = sdk.test;
+
+// records created sockets, events are fired by test
+var sockets = [];
+function FakeWebSocket(url, subprotocol) {
+    this.url = url;
+    this.subprotocol = subprotocol;
+    this.sent = [];
+    this.closed = false;
+    sockets.push(this);
+}
+FakeWebSocket.prototype.send = function (data) {
+    this.sent.push(data);
+};
+FakeWebSocket.prototype.close = function () {
+    this.closed = true;
+};
+function fire(socket, handler, ev) {
+    if(socket[handler]) {
+        socket[handler](ev || {});
+    }
+}
+var Photon = sdk({ WebSocket: FakeWebSocket }).Photon;
+
+test("WebSocketTransport creates socket with url and subprotocol", function () {
+    sockets = [];
+    new Photon.WebSocketTransport().open("ws://a", "");
+    new Photon.WebSocketTransport().open("ws://b", "p");
+    assert.strictEqual(sockets[0].url, "ws://a");
+    assert.strictEqual(sockets[0].subprotocol, undefined);
+    assert.strictEqual(sockets[1].subprotocol, "p");
+});
+test("WebSocketTransport forwards socket events", function () {
+    sockets = [];
+    var t = new Photon.WebSocketTransport();
+    var log = [];
+    t.onopen = function () {
+        log.push("open");
+    };
+    t.onmessage = function (data) {
+        log.push("message " + data);
+    };
+    t.onclose = function (code, reason, wasClean) {
+        log.push("close " + code + " " + reason + " " + wasClean);
+    };
+    t.onerror = function () {
+        log.push("error");
+    };
+    t.open("ws://a", "");
+    fire(sockets[0], "onopen");
+    fire(sockets[0], "onmessage", { data: "x" });
+    fire(sockets[0], "onmessage", { data: { toString: function () {
+                return "y";
+            } } });
+    fire(sockets[0], "onerror");
+    fire(sockets[0], "onclose", { code: 1006, reason: "r", wasClean: false });
+    t.send("z");
+    assert.deepStrictEqual(log, ["open", "message x", "message y", "error", "close 1006 r false"]);
+    assert.deepStrictEqual(sockets[0].sent, ["z"]);
+});
+test("WebSocketTransport detaches and closes replaced socket on reopen", function () {
+    sockets = [];
+    var t = new Photon.WebSocketTransport();
+    var log = [];
+    t.onmessage = function (data) {
+        log.push(data);
+    };
+    t.onclose = function () {
+        log.push("close");
+    };
+    t.open("ws://a", "");
+    var old = sockets[0];
+    t.open("ws://b", "");
+    assert.ok(old.closed);
+    assert.strictEqual(old.onopen, null);
+    assert.strictEqual(old.onmessage, null);
+    assert.strictEqual(old.onclose, null);
+    assert.strictEqual(old.onerror, null);
+    fire(sockets[1], "onmessage", { data: "new" });
+    assert.deepStrictEqual(log, ["new"]);
+    t.send("z");
+    assert.deepStrictEqual(old.sent, []);
+    assert.deepStrictEqual(sockets[1].sent, ["z"]);
+});
+test("late close of replaced socket does not disconnect peer", function () {
+    sockets = [];
+    var p = new Photon.PhotonPeer("ws://a", "", "Test", new Photon.WebSocketTransport());
+    var statuses = [];
+    p.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.connectClosed, function () {
+        statuses.push("connectClosed");
+    });
+    p.addPeerStatusListener(Photon.PhotonPeer.StatusCodes.disconnect, function () {
+        statuses.push("disconnect");
+    });
+    p.connect();
+    var old = sockets[0];
+    fire(old, "onopen");
+    fire(old, "onmessage", { data: "~m~4~m~sess" });
+    p.connect();
+    fire(sockets[1], "onopen");
+    fire(sockets[1], "onmessage", { data: "~m~4~m~sess" });
+    fire(old, "onclose", { code: 1006, reason: "", wasClean: false });
+    fire(old, "onmessage", { data: "~m~4~m~late" });
+    assert.ok(p.isConnected());
+    assert.deepStrictEqual(statuses, []);
+    p.disconnect();
+});
+test("LoopbackTransport opens asynchronously and records sent frames", function () {
+    var t = new Photon.LoopbackTransport();
+    var log = [];
+    t.onopen = function () {
+        log.push("open");
+    };
+    t.onsend = function (data) {
+        log.push("send " + data);
+    };
+    t.open("ws://a", "");
+    assert.strictEqual(t.url, "ws://a");
+    assert.ok(!t.isOpen());
+    assert.throws(function () {
+        t.send("x");
+    }, /not open/);
+    return new Promise(function (resolve) {
+        setTimeout(resolve, 0);
+    }).then(function () {
+        assert.ok(t.isOpen());
+        t.send("x");
+        assert.strictEqual(JSON.stringify(t.sent), "[\"x\"]");
+        assert.deepStrictEqual(log, ["open", "send x"]);
+    });
+});
+test("LoopbackTransport delivers server frames and close", function () {
+    var t = new Photon.LoopbackTransport();
+    var log = [];
+    t.onmessage = function (data) {
+        log.push(data);
+    };
+    t.onclose = function (code, reason, wasClean) {
+        log.push([code, reason, wasClean].join(" "));
+    };
+    t.receive("m");
+    t.serverClose(1006, "gone");
+    t.serverClose();
+    assert.deepStrictEqual(log, ["m", "1006 gone false", "1000  true"]);
+    assert.ok(!t.isOpen());
+});
+test("LoopbackTransport close is not reported after reopen", function () {
+    var p = new Photon.PhotonPeer("ws://a", "", "Test", new Photon.LoopbackTransport());
+    var s = Photon.PhotonPeer.StatusCodes;
+    var statuses = [];
+    p.addPeerStatusListener(Photon.PhotonPeer.AnyCode, function (code) {
+        statuses.push(code);
+    });
+    function tick() {
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 0);
+        });
+    }
+    p.connect();
+    return tick().then(function () {
+        p._transport.receive("~m~4~m~sess");
+        p.disconnect();
+        p.connect();
+        return tick();
+    }).then(function () {
+        p._transport.receive("~m~4~m~sess");
+        return tick();
+    }).then(function () {
+        assert.ok(p.isConnected());
+        assert.deepStrictEqual(statuses, [s.connecting, s.connect, s.connecting, s.connect]);
+        p.disconnect();
+        return tick();
+    }).then(function () {
+        assert.deepStrictEqual(statuses.slice(4), [s.disconnect]);
+    });
+});
+
+sdk.run();